@@ -1,16 +1,77 @@
-import fs from 'fs/promises';
-import path from 'path';
-import paths from '#utils/paths.js';
 import { HttpResponse } from '#utils/http-utils.js';
 import {
   decodeUnicode,
-  findBeacon,
   getValidReceivers,
-  getBeaconDisplayName,
-  ACTIVE_WINDOW
+  parseTimeParam,
+  countActive
 } from '../utils/ble-utils.js';
+import { createEmptyData, getBLEData, getBLERecovery } from '../utils/ble-store.js';
+import { getRssiHistory } from '../utils/ble-history.js';
+import { loadReceiverLayout, estimatePosition } from '../utils/ble-position.js';
+import {
+  loadFingerprints,
+  matchFingerprint,
+  startCapture,
+  stopCapture,
+  removeFingerprintPoint,
+  summarizeFingerprints
+} from '../utils/ble-fingerprint.js';
+import {
+  loadReceiverRegistry,
+  upsertReceiver,
+  removeReceiver,
+  validateReceiver,
+  resolveExhibitionId,
+  isReceiverEnabled,
+  resolveReceiverSite,
+  siteReceiverFilter
+} from '../utils/ble-receivers.js';
+import { DEFAULT_SITE, REPLAY_SITE, loadSiteRegistry, resolveSite } from '../utils/ble-sites.js';
+import {
+  loadBeaconRegistry,
+  upsertBeacon,
+  removeBeacon,
+  validateBeacon,
+  resolveBeaconInfo,
+  resolveBeacon,
+  listBeacons,
+  BEACON_ROLES
+} from '../utils/ble-beacons.js';
+import { getReceiverHealth, loadWatchdogConfig } from '../utils/ble-health.js';
+import { getBLEConfig, validateBLEConfig, updateBLEConfig } from '../utils/ble-config.js';
+import { subscribeBLEUpdates, getBLESubscriberCount } from '../utils/ble-events.js';
+import { instrumentRoutes } from '../utils/metrics.js';
+import { getSiteOrReply, findBeaconOrReply, buildBeaconReceivers } from '../utils/ble-http.js';
+import { listArchives, readArchive, isArchiveDate } from '../utils/ble-archive.js';
+import { writeExport, getExportCoverage, EXPORT_FORMATS, EXPORT_CONTENT_TYPES } from '../utils/ble-export.js';
+import { resetBLEStore, undoReset, backupBLEData, restoreBLEBackup } from '../utils/ble-reset.js';
+import { listBackups, removeBackup, isBackupId } from '../utils/ble-backup.js';
+import { analyzeCoverage } from '../utils/ble-coverage.js';
+import { getAnomalies, summarizeAnomalies, ANOMALY_TYPES } from '../utils/ble-anomaly.js';
+import { getRejectionStats, normalizeMac } from '../utils/ble-schema.js';
+import {
+  isTraceName,
+  startRecording,
+  stopRecording,
+  getRecordingStatus,
+  listTraces,
+  loadTrace,
+  removeTrace,
+  generateScenario,
+  validateScenario,
+  startReplay,
+  stopReplay,
+  getReplayStatus
+} from '../utils/ble-trace.js';
+
+/** SSE 同一连接两次推送的最小间隔（毫秒），多个接收器连续上报时合并为一次 */
+const STREAM_MIN_INTERVAL = 1000;
 
-const BLE_DATA_PATH = path.join(paths.data, 'blues', 'ble_data.json');
+/** SSE 无新上报时的定期刷新间隔（毫秒），让过期接收器按时消失，同时充当保活 */
+const STREAM_REFRESH_INTERVAL = 5000;
+
+/** 导出未指定 from 时默认导出 to 之前 24 小时 */
+const EXPORT_DEFAULT_RANGE = 24 * 60 * 60 * 1000;
 
 /**
  * 蓝牙信标数据 API
@@ -20,168 +81,792 @@ export default {
   name: 'ble',
   dsc: '蓝牙信标数据API',
   priority: 100,
-  routes: [
+  routes: instrumentRoutes([
     {
       method: 'GET',
       path: '/api/ble/data',
       handler: HttpResponse.asyncHandler(async (req, res) => {
-        try {
-          const content = await fs.readFile(BLE_DATA_PATH, 'utf-8');
-          const data = JSON.parse(content);
-          if (!Object.keys(data.devices || {}).length && !Object.keys(data.beacons || {}).length) {
-            return res.json({ success: true, data: { devices: {}, beacons: {} }, message: '暂无数据' });
-          }
-          const simplified = { devices: {}, beacons: {} };
-          for (const [deviceId, device] of Object.entries(data.devices || {})) {
-            simplified.devices[deviceId] = { ...device, name: decodeUnicode(device.name) };
-          }
-          for (const [mac, beacon] of Object.entries(data.beacons || {})) {
-            simplified.beacons[mac] = {
-              name: beacon.name,
-              first_seen: beacon.first_seen,
-              detections: {}
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const data = await getBLEData(site);
+        if (!Object.keys(data.devices).length && !Object.keys(data.beacons).length) {
+          return res.json({ success: true, site, data: createEmptyData(), message: '暂无数据' });
+        }
+        const simplified = createEmptyData();
+        for (const [deviceId, device] of Object.entries(data.devices)) {
+          simplified.devices[deviceId] = { ...device, name: decodeUnicode(device.name) };
+        }
+        for (const [mac, beacon] of Object.entries(data.beacons)) {
+          simplified.beacons[mac] = {
+            name: beacon.name,
+            first_seen: beacon.first_seen,
+            detections: {}
+          };
+          for (const [deviceId, detection] of Object.entries(beacon.detections || {})) {
+            simplified.beacons[mac].detections[deviceId] = {
+              receiver: decodeUnicode(detection.receiver_name || detection.receiver),
+              rssi: detection.rssi,
+              rssi_raw: detection.rssi_raw ?? detection.rssi,
+              rssi_smoothed: detection.rssi_smoothed ?? detection.rssi,
+              online: detection.online,
+              last_update: new Date(detection.update_time || 0).toLocaleString('zh-CN')
             };
-            for (const [deviceId, detection] of Object.entries(beacon.detections || {})) {
-              simplified.beacons[mac].detections[deviceId] = {
-                receiver: decodeUnicode(detection.receiver_name || detection.receiver),
-                rssi: detection.rssi,
-                online: detection.online,
-                last_update: new Date(detection.update_time || 0).toLocaleString('zh-CN')
-              };
-            }
-          }
-          return res.json({ success: true, data: simplified, timestamp: Date.now() });
-        } catch (err) {
-          if (err.code === 'ENOENT') {
-            return res.json({ success: true, data: { devices: {}, beacons: {} }, message: '数据文件不存在' });
           }
-          throw err;
         }
+        return res.json({ success: true, site, data: simplified, timestamp: Date.now() });
       }, 'ble.data')
     },
+    {
+      method: 'GET',
+      path: '/api/ble/beacons',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const { role, tag, hidden, all } = req.query || {};
+        if (role && !BEACON_ROLES.includes(role)) {
+          return HttpResponse.validationError(res, `role 仅支持 ${BEACON_ROLES.join(' / ')}`);
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const beacons = listBeacons(await getBLEData(site), await loadBeaconRegistry(), {
+          role,
+          tag,
+          includeHidden: hidden === '1' || hidden === 'true',
+          includeUndetected: all === '1' || all === 'true'
+        });
+        return res.json({ success: true, data: beacons, timestamp: Date.now() });
+      }, 'ble.beacons')
+    },
     {
       method: 'GET',
       path: '/api/ble/esp-c3-beacons',
       handler: HttpResponse.asyncHandler(async (req, res) => {
-        try {
-          const content = await fs.readFile(BLE_DATA_PATH, 'utf-8');
-          const data = JSON.parse(content);
-          const now = Date.now();
-          const espC3Beacons = [];
-          for (const [mac, beacon] of Object.entries(data.beacons || {})) {
-            if (!beacon.name?.startsWith('ESP-C3-') || !Object.keys(beacon.detections || {}).length) continue;
-            const receivers = getValidReceivers(beacon, now);
-            if (receivers.length === 0) continue;
-            const detections = {};
-            for (const r of receivers) {
-              detections[r.deviceId] = {
-                receiver: r.name,
-                rssi: r.rssi,
-                online: r.online,
-                last_update: r.last_update
-              };
-            }
-            espC3Beacons.push({
-              mac,
-              name: beacon.name,
-              displayName: getBeaconDisplayName(beacon.name),
-              detections,
-              first_seen: beacon.first_seen
-            });
-          }
-          espC3Beacons.sort((a, b) => {
-            const aMax = Math.max(...Object.values(a.detections).map(d => d.rssi || -100));
-            const bMax = Math.max(...Object.values(b.detections).map(d => d.rssi || -100));
-            return bMax - aMax;
-          });
-          return res.json({ success: true, data: espC3Beacons, timestamp: Date.now() });
-        } catch (err) {
-          if (err.code === 'ENOENT') {
-            return res.json({ success: true, data: [], message: '数据文件不存在' });
+        // 兼容旧前端：等同于 /api/ble/beacons?role=visitor
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const beacons = listBeacons(await getBLEData(site), await loadBeaconRegistry(), { role: 'visitor' });
+        return res.json({ success: true, data: beacons, timestamp: Date.now() });
+      }, 'ble.espC3Beacons')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/beacons/:mac',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const { mac } = req.params;
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const registry = await loadBeaconRegistry();
+        const data = await getBLEData(site);
+        const found = resolveBeacon(data, registry, mac).match;
+        const info = resolveBeaconInfo(registry, found?.mac || mac, found?.beacon.name);
+        // 当前未检测到但已登记的信标也可查询；都不是时按查找结果回复 404 或候选列表
+        if (!found && !info.registered) return findBeaconOrReply(res, data, mac);
+        return res.json({
+          success: true,
+          data: {
+            mac: found?.mac || normalizeMac(mac) || mac.toUpperCase(),
+            name: found?.beacon.name || null,
+            ...info,
+            first_seen: found?.beacon.first_seen || null
           }
-          throw err;
+        });
+      }, 'ble.beaconDetail')
+    },
+    {
+      method: 'POST',
+      path: '/api/ble/beacons',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
         }
-      }, 'ble.espC3Beacons')
+        const { mac, ...fields } = req.body || {};
+        if (!mac || typeof mac !== 'string' || !mac.trim()) {
+          return HttpResponse.validationError(res, '缺少信标 MAC');
+        }
+        const error = validateBeacon(fields);
+        if (error) {
+          return HttpResponse.validationError(res, error);
+        }
+        if (resolveBeaconInfo(await loadBeaconRegistry(), mac).registered) {
+          return HttpResponse.validationError(res, '信标已登记，请使用 PUT 修改');
+        }
+        const entry = await upsertBeacon(mac, fields);
+        return res.json({ success: true, data: entry, message: '信标已登记' });
+      }, 'ble.beaconCreate')
+    },
+    {
+      method: 'PUT',
+      path: '/api/ble/beacons/:mac',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const { mac } = req.params;
+        const error = validateBeacon(req.body);
+        if (error) {
+          return HttpResponse.validationError(res, error);
+        }
+        if (!resolveBeaconInfo(await loadBeaconRegistry(), mac).registered) {
+          return HttpResponse.notFound(res, '未找到指定信标登记');
+        }
+        const entry = await upsertBeacon(mac, req.body);
+        return res.json({ success: true, data: entry, message: '信标已更新' });
+      }, 'ble.beaconUpdate')
+    },
+    {
+      method: 'DELETE',
+      path: '/api/ble/beacons/:mac',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const removed = await removeBeacon(req.params.mac);
+        if (!removed) {
+          return HttpResponse.notFound(res, '未找到指定信标登记');
+        }
+        return res.json({ success: true, message: '信标登记已删除' });
+      }, 'ble.beaconRemove')
     },
     {
       method: 'GET',
       path: '/api/ble/beacon/:beaconMac/receivers',
       handler: HttpResponse.asyncHandler(async (req, res) => {
         const { beaconMac } = req.params;
-        try {
-          const content = await fs.readFile(BLE_DATA_PATH, 'utf-8');
-          const data = JSON.parse(content);
-          const found = findBeacon(data, beaconMac);
-          if (!found) {
-            return HttpResponse.notFound(res, '未找到指定信标');
-          }
-          const now = Date.now();
-          const receivers = getValidReceivers(found.beacon, now).map(r => ({
-            receiverId: r.deviceId,
-            receiver: r.name,
-            rssi: r.rssi,
-            online: r.online,
-            last_update: r.last_update,
-            lastUpdateTime: r.lastUpdateTime
-          }));
-          return res.json({
-            success: true,
-            data: {
-              beaconId: found.beacon.name,
-              beaconMac: found.mac,
-              displayName: getBeaconDisplayName(found.beacon.name),
-              receivers,
-              timestamp: now
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const found = await findBeaconOrReply(res, await getBLEData(site), beaconMac);
+        if (!found) return;
+        return res.json({ success: true, data: await buildBeaconReceivers(found, Date.now()) });
+      }, 'ble.beaconReceivers')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/stream',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        // 不带 beacon：推送导览信标列表（event: beacons）；带 beacon：推送该信标的接收器（event: receivers）；只推送 site 的数据
+        const beacon = req.query?.beacon ? String(req.query.beacon) : null;
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream; charset=utf-8',
+          'Cache-Control': 'no-cache, no-transform',
+          Connection: 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${STREAM_REFRESH_INTERVAL}\n\n`);
+
+        let closed = false;
+        let timer = null;
+        let lastSent = 0;
+        let beaconMac = null;
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const push = async () => {
+          if (closed) return;
+          lastSent = Date.now();
+          try {
+            const data = await getBLEData(site);
+            if (beacon) {
+              const { match: found, candidates } = resolveBeacon(data, await loadBeaconRegistry(), beacon);
+              beaconMac = found?.mac || null;
+              send('receivers', found
+                ? await buildBeaconReceivers(found, Date.now())
+                : { beaconId: beacon, beaconMac: null, receivers: [], candidates, timestamp: Date.now() });
+            } else {
+              send('beacons', listBeacons(data, await loadBeaconRegistry(), { role: 'visitor' }));
             }
-          });
-        } catch (err) {
-          if (err.code === 'ENOENT') {
-            return HttpResponse.notFound(res, '蓝牙数据文件不存在');
+          } catch (err) {
+            send('stream-error', { message: err.message });
           }
-          throw err;
+        };
+        const schedule = () => {
+          if (closed || timer) return;
+          timer = setTimeout(() => {
+            timer = null;
+            push();
+          }, Math.max(0, lastSent + STREAM_MIN_INTERVAL - Date.now()));
+        };
+
+        const unsubscribe = subscribeBLEUpdates((update) => {
+          if ((update.site || DEFAULT_SITE) !== site) return;
+          if (!beacon || update.reset || !beaconMac || update.beacons.includes(beaconMac)) schedule();
+        });
+        const refreshTimer = setInterval(schedule, STREAM_REFRESH_INTERVAL);
+        req.on('close', () => {
+          closed = true;
+          clearTimeout(timer);
+          clearInterval(refreshTimer);
+          unsubscribe();
+        });
+        await push();
+      }, 'ble.stream')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/beacon/:beaconMac/history',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const { beaconMac } = req.params;
+        const { since, receiver } = req.query || {};
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const found = await findBeaconOrReply(res, await getBLEData(site), beaconMac);
+        if (!found) return;
+        const sinceTime = parseTimeParam(since);
+        if (Number.isNaN(sinceTime)) {
+          return HttpResponse.validationError(res, 'since 参数应为时间戳或日期字符串');
         }
-      }, 'ble.beaconReceivers')
+        const history = getRssiHistory(found.mac, {
+          since: sinceTime ?? 0,
+          receiver: receiver || undefined,
+          receiverFilter: siteReceiverFilter(await loadReceiverRegistry(), site)
+        });
+        return res.json({
+          success: true,
+          data: {
+            beaconId: found.beacon.name,
+            beaconMac: found.mac,
+            displayName: resolveBeaconInfo(await loadBeaconRegistry(), found.mac, found.beacon.name).displayName,
+            history,
+            timestamp: Date.now()
+          }
+        });
+      }, 'ble.beaconHistory')
     },
     {
       method: 'GET',
-      path: '/api/ble/status',
+      path: '/api/ble/beacon/:beaconMac/position',
       handler: HttpResponse.asyncHandler(async (req, res) => {
-        try {
-          const content = await fs.readFile(BLE_DATA_PATH, 'utf-8');
-          const data = JSON.parse(content);
-          const now = Date.now();
-          const devices = data.devices || {};
-          const totalReceivers = Object.keys(devices).length;
-          const activeReceivers = Object.values(devices).filter(d => now - (d.update || 0) <= ACTIVE_WINDOW).length;
-          const beacons = data.beacons || {};
-          const totalBeacons = Object.keys(beacons).length;
-          let activeBeacons = 0;
-          for (const b of Object.values(beacons)) {
-            for (const d of Object.values(b.detections || {})) {
-              if (d.online && now - (d.update_time || 0) <= ACTIVE_WINDOW) {
-                activeBeacons++;
-                break;
-              }
-            }
+        const { beaconMac } = req.params;
+        const mode = req.query?.mode || 'trilateration';
+        if (mode !== 'trilateration' && mode !== 'fingerprint') {
+          return HttpResponse.validationError(res, 'mode 仅支持 trilateration 或 fingerprint');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const found = await findBeaconOrReply(res, await getBLEData(site), beaconMac);
+        if (!found) return;
+        const now = Date.now();
+        const receivers = getValidReceivers(found.beacon, now);
+        const position = mode === 'fingerprint'
+          ? matchFingerprint(receivers, await loadFingerprints(site))
+          : estimatePosition(receivers, await loadReceiverLayout());
+        const body = {
+          success: true,
+          data: {
+            beaconId: found.beacon.name,
+            beaconMac: found.mac,
+            displayName: resolveBeaconInfo(await loadBeaconRegistry(), found.mac, found.beacon.name).displayName,
+            mode,
+            position,
+            timestamp: now
           }
-          return res.json({
-            success: true,
-            status: {
-              receivers: { total: totalReceivers, active: activeReceivers },
-              beacons: { total: totalBeacons, active: activeBeacons },
-              active_window: ACTIVE_WINDOW,
-              timestamp: now
-            }
+        };
+        if (!position) {
+          body.message = mode === 'fingerprint'
+            ? '指纹库为空或信标当前无有效接收器，无法匹配'
+            : '当前没有已配置坐标的有效接收器，无法估算位置';
+        }
+        return res.json(body);
+      }, 'ble.beaconPosition')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/fingerprints',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const summary = await summarizeFingerprints(site);
+        return res.json({ success: true, data: summary, timestamp: Date.now() });
+      }, 'ble.fingerprints')
+    },
+    {
+      method: 'POST',
+      path: '/api/ble/fingerprints/capture',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const { label, beacon, exhibitionId, duration } = req.body || {};
+        if (!label || !String(label).trim()) {
+          return HttpResponse.validationError(res, '缺少点位名称 label');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        let beaconMac = null;
+        if (beacon) {
+          const found = await findBeaconOrReply(res, await getBLEData(site), beacon);
+          if (!found) return;
+          beaconMac = found.mac;
+        } else {
+          beaconMac = (await loadFingerprints(site)).reference;
+          if (!beaconMac) {
+            return HttpResponse.validationError(res, '首次采集需指定参考信标 beacon');
+          }
+        }
+        const options = { label: String(label).trim(), beaconMac, exhibitionId, site };
+        if (Number(duration) > 0) options.duration = Number(duration);
+        const status = await startCapture(options);
+        return res.json({ success: true, data: status, message: '指纹采集已开始' });
+      }, 'ble.fingerprintCaptureStart')
+    },
+    {
+      method: 'DELETE',
+      path: '/api/ble/fingerprints/capture',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const status = await stopCapture();
+        return res.json({ success: true, data: status, message: status ? '指纹采集已结束' : '当前没有进行中的采集' });
+      }, 'ble.fingerprintCaptureStop')
+    },
+    {
+      method: 'DELETE',
+      path: '/api/ble/fingerprints/:label',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const removed = await removeFingerprintPoint(req.params.label, site);
+        if (!removed) {
+          return HttpResponse.notFound(res, '未找到指定点位');
+        }
+        return res.json({ success: true, message: '指纹点位已删除' });
+      }, 'ble.fingerprintRemove')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/receivers',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const registry = await loadReceiverRegistry();
+        const { devices } = await getBLEData(site);
+        const now = Date.now();
+        const ids = new Set([
+          ...Object.keys(registry).filter(deviceId => resolveReceiverSite(registry, deviceId) === site),
+          ...Object.keys(devices)
+        ]);
+        const receivers = [...ids].sort().map(deviceId => ({
+          deviceId,
+          registered: Boolean(registry[deviceId]),
+          ...(registry[deviceId] || { name: decodeUnicode(devices[deviceId]?.name) || deviceId, enabled: true, site }),
+          exhibitionId: resolveExhibitionId(registry, deviceId),
+          lastReport: devices[deviceId]?.update || null,
+          active: now - (devices[deviceId]?.update || 0) <= getBLEConfig().activeWindow
+        }));
+        return res.json({ success: true, data: receivers, timestamp: now });
+      }, 'ble.receivers')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/receivers/health',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const registry = await loadReceiverRegistry();
+        const { offlineAfter, recoverAfterReports } = await loadWatchdogConfig();
+        const receivers = getReceiverHealth()
+          .filter(item => resolveReceiverSite(registry, item.deviceId) === site)
+          .map(item => ({
+          ...item,
+          name: registry[item.deviceId]?.name || item.name,
+          enabled: isReceiverEnabled(registry, item.deviceId),
+          exhibitionId: resolveExhibitionId(registry, item.deviceId)
+        }));
+        return res.json({
+          success: true,
+          data: {
+            receivers,
+            summary: {
+              total: receivers.length,
+              online: receivers.filter(r => r.status === 'online').length,
+              offline: receivers.filter(r => r.status === 'offline').length
+            },
+            thresholds: { offlineAfter, recoverAfterReports },
+            timestamp: Date.now()
+          }
+        });
+      }, 'ble.receiversHealth')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/receivers/:deviceId',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const { deviceId } = req.params;
+        const entry = (await loadReceiverRegistry())[deviceId];
+        if (!entry) {
+          return HttpResponse.notFound(res, '未找到指定接收器');
+        }
+        return res.json({ success: true, data: { deviceId, ...entry } });
+      }, 'ble.receiverDetail')
+    },
+    {
+      method: 'POST',
+      path: '/api/ble/receivers',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const { deviceId, ...fields } = req.body || {};
+        if (!deviceId || typeof deviceId !== 'string' || !deviceId.trim()) {
+          return HttpResponse.validationError(res, '缺少接收器ID deviceId');
+        }
+        const error = validateReceiver(fields);
+        if (error) {
+          return HttpResponse.validationError(res, error);
+        }
+        const id = deviceId.trim();
+        if ((await loadReceiverRegistry())[id]) {
+          return HttpResponse.validationError(res, '接收器已存在，请使用 PUT 修改');
+        }
+        const entry = await upsertReceiver(id, { exhibitionId: id, ...fields });
+        return res.json({ success: true, data: { deviceId: id, ...entry }, message: '接收器已添加' });
+      }, 'ble.receiverCreate')
+    },
+    {
+      method: 'PUT',
+      path: '/api/ble/receivers/:deviceId',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const { deviceId } = req.params;
+        const error = validateReceiver(req.body);
+        if (error) {
+          return HttpResponse.validationError(res, error);
+        }
+        if (!(await loadReceiverRegistry())[deviceId]) {
+          return HttpResponse.notFound(res, '未找到指定接收器');
+        }
+        const entry = await upsertReceiver(deviceId, req.body);
+        return res.json({ success: true, data: { deviceId, ...entry }, message: '接收器已更新' });
+      }, 'ble.receiverUpdate')
+    },
+    {
+      method: 'DELETE',
+      path: '/api/ble/receivers/:deviceId',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const removed = await removeReceiver(req.params.deviceId);
+        if (!removed) {
+          return HttpResponse.notFound(res, '未找到指定接收器');
+        }
+        return res.json({ success: true, message: '接收器已删除' });
+      }, 'ble.receiverRemove')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/coverage',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const { from, to, slot } = req.query || {};
+        const fromTime = parseTimeParam(from);
+        const toTime = parseTimeParam(to);
+        if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+          return HttpResponse.validationError(res, 'from / to 参数应为时间戳或日期字符串');
+        }
+        const slotLength = slot != null && slot !== '' ? Number(slot) : undefined;
+        if (slotLength !== undefined && !(slotLength >= 1000)) {
+          return HttpResponse.validationError(res, 'slot 应为不小于 1000 的毫秒数');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const coverage = await analyzeCoverage({
+          from: fromTime ?? undefined,
+          to: toTime ?? undefined,
+          slot: slotLength,
+          site
+        });
+        return res.json({ success: true, data: coverage, timestamp: Date.now() });
+      }, 'ble.coverage')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/anomalies',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const { type, since, beacon, limit } = req.query || {};
+        if (type && !ANOMALY_TYPES.includes(type)) {
+          return HttpResponse.validationError(res, `type 仅支持 ${ANOMALY_TYPES.join(' / ')}`);
+        }
+        const sinceTime = parseTimeParam(since);
+        if (Number.isNaN(sinceTime)) {
+          return HttpResponse.validationError(res, 'since 参数应为时间戳或日期字符串');
+        }
+        const count = limit != null && limit !== '' ? Number(limit) : 100;
+        if (!Number.isInteger(count) || count <= 0) {
+          return HttpResponse.validationError(res, 'limit 应为正整数');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        return res.json({
+          success: true,
+          data: {
+            summary: summarizeAnomalies(sinceTime ?? 0, site),
+            items: getAnomalies({
+              type: type || undefined,
+              since: sinceTime ?? 0,
+              site,
+              mac: beacon ? normalizeMac(decodeUnicode(beacon)) || decodeUnicode(beacon).toUpperCase() : undefined,
+              limit: count
+            })
+          },
+          timestamp: Date.now()
+        });
+      }, 'ble.anomalies')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/sites',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const sites = await loadSiteRegistry();
+        const registry = await loadReceiverRegistry();
+        const data = Object.entries(sites).map(([site, entry]) => ({
+          site,
+          ...entry,
+          default: site === DEFAULT_SITE,
+          receivers: Object.keys(registry).filter(deviceId => resolveReceiverSite(registry, deviceId) === site).length
+        }));
+        return res.json({ success: true, data, timestamp: Date.now() });
+      }, 'ble.sites')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/config',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        const { resetAllowList, ...config } = getBLEConfig();
+        const data = AgentRuntime?.checkApiAuthorization?.(req) ? { ...config, resetAllowList } : config;
+        return res.json({ success: true, data, timestamp: Date.now() });
+      }, 'ble.config')
+    },
+    {
+      method: 'PUT',
+      path: '/api/ble/config',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const error = validateBLEConfig(req.body);
+        if (error) {
+          return HttpResponse.validationError(res, error);
+        }
+        const config = await updateBLEConfig(req.body);
+        return res.json({ success: true, data: config, message: '蓝牙配置已更新' });
+      }, 'ble.configUpdate')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/archive',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const { date, type, beacon, receiver } = req.query;
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        if (!date) {
+          return res.json({ success: true, data: await listArchives(site), timestamp: Date.now() });
+        }
+        if (!isArchiveDate(date)) {
+          return HttpResponse.validationError(res, 'date 格式应为 YYYY-MM-DD');
+        }
+        const records = await readArchive(date, {
+          type,
+          beacon: beacon ? decodeUnicode(beacon) : undefined,
+          receiver,
+          site
+        });
+        if (!records) {
+          return HttpResponse.notFound(res, `${date} 无归档数据`);
+        }
+        return res.json({ success: true, date, count: records.length, data: records, timestamp: Date.now() });
+      }, 'ble.archive')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/export',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const { format = 'csv', from, to, beacon, receiver } = req.query || {};
+        if (!EXPORT_FORMATS.includes(format)) {
+          return HttpResponse.validationError(res, `format 仅支持 ${EXPORT_FORMATS.join(' / ')}`);
+        }
+        const toTime = parseTimeParam(to) ?? Date.now();
+        const fromTime = parseTimeParam(from) ?? toTime - EXPORT_DEFAULT_RANGE;
+        if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+          return HttpResponse.validationError(res, 'from / to 参数应为时间戳或日期字符串');
+        }
+        if (fromTime > toTime) {
+          return HttpResponse.validationError(res, 'from 不应晚于 to');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const siteName = site === DEFAULT_SITE ? '' : `${site}-`;
+        res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="ble-export-${siteName}${fromTime}-${toTime}.${format}"`);
+        // 逐次采样只在内存时序中，更早的时段只有归档的最后状态（见 README 数据导出）
+        const coverage = await getExportCoverage({ from: fromTime, site });
+        res.setHeader('X-Export-Complete', String(coverage.complete));
+        if (coverage.sampledFrom != null) res.setHeader('X-Export-Sampled-From', String(coverage.sampledFrom));
+        try {
+          await writeExport(res, format, {
+            from: fromTime,
+            to: toTime,
+            beacon: beacon ? decodeUnicode(beacon) : undefined,
+            receiver: receiver || undefined,
+            site
           });
         } catch (err) {
-          if (err.code === 'ENOENT') {
-            return res.json({
-              success: true,
-              status: { receivers: { total: 0, active: 0 }, beacons: { total: 0, active: 0 }, active_window: ACTIVE_WINDOW, timestamp: Date.now() }
-            });
+          // 已开始输出时无法再返回错误 JSON，直接结束响应
+          if (!res.headersSent) throw err;
+        }
+        res.end();
+      }, 'ble.export')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/traces',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        return res.json({
+          success: true,
+          data: {
+            traces: await listTraces(),
+            recording: getRecordingStatus(),
+            replay: getReplayStatus()
+          },
+          timestamp: Date.now()
+        });
+      }, 'ble.traces')
+    },
+    {
+      method: 'POST',
+      path: '/api/ble/traces/record',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const { name, duration } = req.body || {};
+        if (!isTraceName(name)) {
+          return HttpResponse.validationError(res, 'name 只能包含字母、数字、下划线、连字符或中文');
+        }
+        if (duration != null && !(Number.isFinite(duration) && duration > 0)) {
+          return HttpResponse.validationError(res, 'duration 应为正数（毫秒）');
+        }
+        const status = await startRecording(name, duration ?? undefined);
+        return res.json({ success: true, data: status, message: `开始录制「${name}」` });
+      }, 'ble.traceRecord')
+    },
+    {
+      method: 'DELETE',
+      path: '/api/ble/traces/record',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const status = await stopRecording();
+        if (!status) {
+          return HttpResponse.notFound(res, '当前没有进行中的录制');
+        }
+        return res.json({ success: true, data: status, message: `已结束录制「${status.name}」` });
+      }, 'ble.traceRecordStop')
+    },
+    {
+      method: 'DELETE',
+      path: '/api/ble/traces/:name',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const name = decodeUnicode(req.params.name);
+        if (!isTraceName(name) || !(await removeTrace(name))) {
+          return HttpResponse.notFound(res, `未找到录制 ${name}`);
+        }
+        return res.json({ success: true, message: `已删除录制「${name}」` });
+      }, 'ble.traceDelete')
+    },
+    {
+      method: 'POST',
+      path: '/api/ble/replay',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const { trace, scenario, speed = 1, loop = false } = req.body || {};
+        if (!Number.isFinite(speed) || speed <= 0) {
+          return HttpResponse.validationError(res, 'speed 应为正数');
+        }
+        let events;
+        let source;
+        if (trace) {
+          if (!isTraceName(trace)) {
+            return HttpResponse.validationError(res, 'trace 名称不合法');
+          }
+          events = await loadTrace(trace);
+          if (!events) {
+            return HttpResponse.notFound(res, `未找到录制 ${trace}`);
+          }
+          source = trace;
+        } else {
+          const options = scenario && typeof scenario === 'object' ? scenario : {};
+          const invalid = validateScenario(options);
+          if (invalid) {
+            return HttpResponse.validationError(res, invalid);
+          }
+          if (options.site != null) {
+            const resolved = await resolveSite(options.site);
+            if (resolved.error) {
+              return HttpResponse.validationError(res, `scenario.site: ${resolved.error}`);
+            }
+            options.site = resolved.site;
           }
-          throw err;
+          events = await generateScenario(options);
+          source = 'scenario';
         }
+        const status = startReplay(events, {
+          source,
+          speed,
+          loop,
+          emit: (event) => AgentRuntime.emit('device.ble_beacon_batch', event)
+        });
+        if (!status) {
+          return HttpResponse.validationError(res, '没有可回放的上报');
+        }
+        return res.json({ success: true, data: { ...status, site: REPLAY_SITE }, message: '开始回放，数据写入回放站点' });
+      }, 'ble.replay')
+    },
+    {
+      method: 'DELETE',
+      path: '/api/ble/replay',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const status = stopReplay();
+        if (!status) {
+          return HttpResponse.notFound(res, '当前没有进行中的回放');
+        }
+        return res.json({ success: true, data: status, message: '已停止回放' });
+      }, 'ble.replayStop')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/status',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const data = await getBLEData(site);
+        const now = Date.now();
+        const { activeWindow } = getBLEConfig();
+        const { receivers, beacons } = countActive(data, now, activeWindow);
+        return res.json({
+          success: true,
+          status: {
+            site,
+            receivers,
+            beacons,
+            active_window: activeWindow,
+            stream_clients: getBLESubscriberCount(),
+            recovery: getBLERecovery(site),
+            rejected: getRejectionStats(siteReceiverFilter(await loadReceiverRegistry(), site)),
+            timestamp: now
+          }
+        });
       }, 'ble.status')
     },
     {
@@ -191,10 +876,91 @@ export default {
         if (!AgentRuntime?.checkApiAuthorization?.(req)) {
           return HttpResponse.forbidden(res, '未授权');
         }
-        await fs.mkdir(path.dirname(BLE_DATA_PATH), { recursive: true });
-        await fs.writeFile(BLE_DATA_PATH, JSON.stringify({ devices: {}, beacons: {} }, null, 2));
-        return res.json({ success: true, message: '蓝牙数据已重置' });
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const backup = await resetBLEStore({ source: 'api', site });
+        return res.json({ success: true, data: backup, message: '蓝牙数据已重置，可通过 POST /api/ble/data/restore 撤销' });
       }, 'ble.reset')
+    },
+    {
+      method: 'POST',
+      path: '/api/ble/data/restore',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const restored = await undoReset(site);
+        if (!restored) {
+          return HttpResponse.notFound(res, '没有可撤销的重置');
+        }
+        return res.json({ success: true, data: restored, message: '已恢复重置前的蓝牙数据' });
+      }, 'ble.restore')
+    },
+    {
+      method: 'GET',
+      path: '/api/ble/backups',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        return res.json({ success: true, data: await listBackups(req.query?.type || undefined, site), timestamp: Date.now() });
+      }, 'ble.backups')
+    },
+    {
+      method: 'POST',
+      path: '/api/ble/backups',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const note = req.body?.note;
+        if (note != null && typeof note !== 'string') {
+          return HttpResponse.validationError(res, 'note 应为字符串');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const backup = await backupBLEData({ type: 'manual', note: note || null, site });
+        return res.json({ success: true, data: backup, message: `已备份 ${backup.id}` });
+      }, 'ble.backupCreate')
+    },
+    {
+      method: 'POST',
+      path: '/api/ble/backups/:id/restore',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const { id } = req.params;
+        if (!isBackupId(id)) {
+          return HttpResponse.validationError(res, '备份ID格式不正确');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const restored = await restoreBLEBackup(id, site);
+        if (!restored) {
+          return HttpResponse.notFound(res, `未找到备份 ${id} 或备份已损坏`);
+        }
+        return res.json({ success: true, data: restored, message: `已恢复到备份 ${id}` });
+      }, 'ble.backupRestore')
+    },
+    {
+      method: 'DELETE',
+      path: '/api/ble/backups/:id',
+      handler: HttpResponse.asyncHandler(async (req, res, AgentRuntime) => {
+        if (!AgentRuntime?.checkApiAuthorization?.(req)) {
+          return HttpResponse.forbidden(res, '未授权');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        if (!(await removeBackup(req.params.id, site))) {
+          return HttpResponse.notFound(res, `未找到备份 ${req.params.id}`);
+        }
+        return res.json({ success: true, message: `已删除备份 ${req.params.id}` });
+      }, 'ble.backupDelete')
     }
-  ]
+  ])
 };
@@ -1,32 +1,74 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import paths from '#utils/paths.js';
 import { HttpResponse } from '#utils/http-utils.js';
-import { findBeacon, getValidReceivers } from '../utils/ble-utils.js';
+import { parseTimeParam, countActive } from '../utils/ble-utils.js';
+import { getBLEData } from '../utils/ble-store.js';
+import { querySessions, summarizeSessions } from '../utils/ble-sessions.js';
+import { getVisitorStats, VISITOR_STATS_GRANULARITIES } from '../utils/ble-visitor-stats.js';
+import { loadReceiverRegistry, resolveExhibitionId, resolveReceiverSite } from '../utils/ble-receivers.js';
+import { loadBeaconRegistry, resolveBeacon } from '../utils/ble-beacons.js';
+import { DEFAULT_SITE, resolveSite, getSiteKbDir, listSiteIds } from '../utils/ble-sites.js';
+import { getReceiverHealth } from '../utils/ble-health.js';
+import { getRejectionStats } from '../utils/ble-schema.js';
+import { renderMetrics, instrumentRoutes, METRICS_CONTENT_TYPE } from '../utils/metrics.js';
+import { getSiteOrReply, findBeaconOrReply, buildBeaconReceivers } from '../utils/ble-http.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CORE_DIR = path.join(__dirname, '..');
-const KB_DATA_DIR = path.join(CORE_DIR, 'www', 'kb', 'data');
-const BLE_DATA_PATH = path.join(paths.data, 'blues', 'ble_data.json');
+/**
+ * 抓取时现算的蓝牙指标：各站点活跃接收器 / 信标数、接收器距最近上报的秒数、不合规上报计数
+ * @returns {Promise<Array<Object>>} renderMetrics 的 extra 参数
+ */
+async function collectBLEGauges() {
+  const now = Date.now();
+  const registry = await loadReceiverRegistry();
+  const activeReceivers = [];
+  const activeBeacons = [];
+  for (const site of await listSiteIds()) {
+    const { receivers, beacons } = countActive(await getBLEData(site), now);
+    activeReceivers.push({ labels: { site }, value: receivers.active });
+    activeBeacons.push({ labels: { site }, value: beacons.active });
+  }
+  const lastSeen = getReceiverHealth(now)
+    .filter(item => item.silentFor != null)
+    .map(item => ({ labels: { receiver: item.deviceId, site: resolveReceiverSite(registry, item.deviceId) }, value: item.silentFor / 1000 }));
+  const { devices } = getRejectionStats();
+  return [
+    { name: 'ble_active_receivers', type: 'gauge', help: 'activeWindow 内有上报的接收器数', samples: activeReceivers },
+    { name: 'ble_active_beacons', type: 'gauge', help: 'activeWindow 内被在线检测到的信标数', samples: activeBeacons },
+    { name: 'ble_receiver_last_seen_seconds', type: 'gauge', help: '接收器距最近一次上报的秒数', samples: lastSeen },
+    {
+      name: 'ble_rejected_entries_total',
+      type: 'counter',
+      help: '不合规被丢弃的信标条目数（按接收器）',
+      samples: devices.map(item => ({ labels: { receiver: item.deviceId }, value: item.rejected }))
+    },
+    {
+      name: 'ble_rejected_batches_total',
+      type: 'counter',
+      help: '整批丢弃的上报数（按接收器）',
+      samples: devices.map(item => ({ labels: { receiver: item.deviceId }, value: item.rejectedBatches }))
+    }
+  ];
+}
 
 export default {
   name: 'kb',
   dsc: '知识库参观助手API',
   priority: 100,
-  routes: [
+  routes: instrumentRoutes([
     {
       method: 'GET',
       path: '/api/kb/exhibitions',
       handler: HttpResponse.asyncHandler(async (req, res) => {
-        const file = path.join(KB_DATA_DIR, 'exhibitions.json');
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const file = path.join(getSiteKbDir(site), 'exhibitions.json');
         try {
           const content = await fs.readFile(file, 'utf-8');
           const data = JSON.parse(content);
-          return res.json({ success: true, data, timestamp: Date.now() });
+          return res.json({ success: true, data, site, timestamp: Date.now() });
         } catch (err) {
           if (err.code === 'ENOENT') {
-            return res.json({ success: true, data: {}, message: '展区信息文件不存在' });
+            return res.json({ success: true, data: {}, site, message: '展区信息文件不存在' });
           }
           throw err;
         }
@@ -36,9 +78,15 @@ export default {
       method: 'GET',
       path: '/api/kb/prompts',
       handler: HttpResponse.asyncHandler(async (req, res) => {
-        const file = path.join(KB_DATA_DIR, 'ai-prompts.json');
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        // 站点未单独配置问答时沿用默认站点的配置
+        const files = [...new Set([getSiteKbDir(site), getSiteKbDir(DEFAULT_SITE)])].map(dir => path.join(dir, 'ai-prompts.json'));
         try {
-          const content = await fs.readFile(file, 'utf-8');
+          const content = await fs.readFile(files[0], 'utf-8').catch((err) => {
+            if (err.code === 'ENOENT' && files[1]) return fs.readFile(files[1], 'utf-8');
+            throw err;
+          });
           const data = JSON.parse(content);
           return res.json({ success: true, data, timestamp: Date.now() });
         } catch (err) {
@@ -57,6 +105,12 @@ export default {
         if (!question) {
           return HttpResponse.validationError(res, '缺少问题参数');
         }
+        const registry = await loadReceiverRegistry();
+        // 未指定站点时按访客所在接收器的站点回答
+        const site = receiverId && req.body?.site == null && req.query?.site == null
+          ? resolveReceiverSite(registry, receiverId)
+          : await getSiteOrReply(req, res);
+        if (!site) return;
         const AiWorkflowLoader = (await import('#infrastructure/ai-workflow/loader.js')).default;
         const stream = AiWorkflowLoader.getWorkflow('kb-stream');
         if (!stream) {
@@ -66,8 +120,9 @@ export default {
             data: { question, answer: '服务暂时不可用，请稍后重试。' }
           });
         }
+        const exhibitionId = receiverId ? resolveExhibitionId(registry, receiverId) : null;
         const e = { user_id: 'kb-api', reply: null };
-        const input = { text: question, receiverId, beaconId };
+        const input = { text: question, receiverId, exhibitionId, beaconId, site };
         const answer = await stream.process(e, input, { enableTools: true });
         return res.json({
           success: true,
@@ -75,7 +130,9 @@ export default {
             question,
             answer: answer && answer.trim() ? answer.trim() : '抱歉，未能生成有效回答，请换个方式提问。',
             receiverId,
+            exhibitionId,
             beaconId,
+            site,
             timestamp: Date.now()
           }
         });
@@ -88,7 +145,12 @@ export default {
         if (!AgentRuntime?.checkApiAuthorization?.(req)) {
           return HttpResponse.forbidden(res, '未授权访问');
         }
-        const file = path.join(KB_DATA_DIR, 'exhibitions.json');
+        // 请求体即展区表，站点只从 query 读取
+        const resolved = await resolveSite(req.query?.site);
+        if (resolved.error) {
+          return HttpResponse.validationError(res, resolved.error);
+        }
+        const file = path.join(getSiteKbDir(resolved.site), 'exhibitions.json');
         await fs.mkdir(path.dirname(file), { recursive: true });
         await fs.writeFile(file, JSON.stringify(req.body, null, 2), 'utf-8');
         return res.json({ success: true, message: '展区信息已更新' });
@@ -99,52 +161,95 @@ export default {
       path: '/api/kb/beacon/:beaconId/receivers',
       handler: HttpResponse.asyncHandler(async (req, res) => {
         const { beaconId } = req.params;
-        try {
-          const content = await fs.readFile(BLE_DATA_PATH, 'utf-8');
-          const data = JSON.parse(content);
-          const found = findBeacon(data, beaconId);
-          if (!found) {
-            return HttpResponse.notFound(res, '未找到指定信标');
-          }
-          const now = Date.now();
-          const receivers = getValidReceivers(found.beacon, now).map((r) => ({
-            deviceId: r.deviceId,
-            name: r.name,
-            rssi: r.rssi,
-            online: r.online,
-            lastSeen: r.lastUpdateTime,
-            timeDiff: now - r.lastUpdateTime,
-            last_update: r.last_update
-          }));
-          return res.json({
-            success: true,
-            data: { beaconId: found.beacon.name, mac: found.mac, receivers, timestamp: now }
-          });
-        } catch (err) {
-          if (err.code === 'ENOENT') {
-            return HttpResponse.notFound(res, '蓝牙数据文件不存在');
-          }
-          throw err;
-        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        const found = await findBeaconOrReply(res, await getBLEData(site), beaconId);
+        if (!found) return;
+        // 接收器列表与 /api/ble/beacon/:beaconMac/receivers 同源，字段名沿用本接口原有约定
+        const now = Date.now();
+        const data = await buildBeaconReceivers(found, now);
+        const receivers = data.receivers.map(({ receiverId, receiver, lastUpdateTime, ...r }) => ({
+          deviceId: receiverId,
+          name: receiver,
+          ...r,
+          lastSeen: lastUpdateTime,
+          timeDiff: now - lastUpdateTime
+        }));
+        return res.json({
+          success: true,
+          data: { beaconId: data.beaconId, mac: data.beaconMac, receivers, timestamp: now }
+        });
       }, 'kb.beaconReceivers')
     },
+    {
+      method: 'GET',
+      path: '/api/kb/sessions',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        const { beacon, exhibition, from, to } = req.query || {};
+        const fromTime = parseTimeParam(from);
+        const toTime = parseTimeParam(to);
+        if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+          return HttpResponse.validationError(res, 'from / to 参数应为时间戳或日期字符串');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        let beaconFilter = beacon || undefined;
+        if (beacon) {
+          const { match } = resolveBeacon(await getBLEData(site), await loadBeaconRegistry(), beacon);
+          if (match) beaconFilter = match.mac;
+        }
+        const sessions = await querySessions({
+          beacon: beaconFilter,
+          exhibition: exhibition || undefined,
+          from: fromTime,
+          to: toTime,
+          site
+        });
+        return res.json({
+          success: true,
+          data: { sessions, summary: summarizeSessions(sessions) },
+          timestamp: Date.now()
+        });
+      }, 'kb.sessions')
+    },
     {
       method: 'GET',
       path: '/api/kb/visitor-stats',
       handler: HttpResponse.asyncHandler(async (req, res) => {
-        const file = path.join(KB_DATA_DIR, 'visitor-stats.json');
+        const { granularity = 'day', from, to } = req.query || {};
+        if (!VISITOR_STATS_GRANULARITIES.includes(granularity)) {
+          return HttpResponse.validationError(res, 'granularity 仅支持 hour、day、week');
+        }
+        const fromTime = parseTimeParam(from);
+        const toTime = parseTimeParam(to);
+        if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+          return HttpResponse.validationError(res, 'from / to 参数应为时间戳或日期字符串');
+        }
+        const site = await getSiteOrReply(req, res);
+        if (!site) return;
+        // 站点手工维护的 visitor-stats.json 作为按天的覆盖 / 补充数据
+        let overrides = [];
         try {
-          const content = await fs.readFile(file, 'utf-8');
+          const content = await fs.readFile(path.join(getSiteKbDir(site), 'visitor-stats.json'), 'utf-8');
           const data = JSON.parse(content);
-          const list = Array.isArray(data) ? data : data?.list || [];
-          return res.json({ success: true, data: list, timestamp: Date.now() });
+          overrides = Array.isArray(data) ? data : data?.list || [];
         } catch (err) {
-          if (err.code === 'ENOENT') {
-            return res.json({ success: true, data: [], message: '暂无参观统计' });
-          }
-          throw err;
+          if (err.code !== 'ENOENT') throw err;
         }
+        const list = await getVisitorStats({ granularity, from: fromTime, to: toTime, overrides, site });
+        if (!list.length) {
+          return res.json({ success: true, data: [], message: '暂无参观统计' });
+        }
+        return res.json({ success: true, data: list, granularity, timestamp: Date.now() });
       }, 'kb.visitorStats')
+    },
+    {
+      method: 'GET',
+      path: '/api/kb/metrics',
+      handler: HttpResponse.asyncHandler(async (req, res) => {
+        res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+        return res.end(renderMetrics(await collectBLEGauges()));
+      }, 'kb.metrics')
     }
-  ]
+  ])
 };
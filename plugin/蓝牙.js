@@ -1,7 +1,101 @@
 import path from 'path';
 import fs from 'fs/promises';
-import paths from '#utils/paths.js';
-import { decodeUnicode, ACTIVE_WINDOW } from '../utils/ble-utils.js';
+import {
+  isDetectionStale,
+  smoothRssi,
+  getValidReceivers
+} from '../utils/ble-utils.js';
+import {
+  getBLEDataPath,
+  createEmptyData,
+  getBLEData,
+  writeBLEData,
+  updateBLEData,
+  flushBLEData,
+  getBLERecovery
+} from '../utils/ble-store.js';
+import {
+  recordRssi,
+  getRssiHistory,
+  summarizeRssiTrend,
+  pruneRssiHistory
+} from '../utils/ble-history.js';
+import { loadReceiverLayout, estimatePosition } from '../utils/ble-position.js';
+import {
+  loadFingerprints,
+  matchFingerprint,
+  startCapture,
+  stopCapture,
+  getCaptureStatus,
+  recordFingerprintSample,
+  summarizeFingerprints
+} from '../utils/ble-fingerprint.js';
+import { trackBeacon, sweepSessions, querySessions, summarizeSessions, pruneSessions } from '../utils/ble-sessions.js';
+import { recordVisit } from '../utils/ble-visitor-stats.js';
+import {
+  loadReceiverRegistry,
+  resolveExhibitionId,
+  isReceiverEnabled,
+  resolveReceiverSite,
+  siteReceiverFilter
+} from '../utils/ble-receivers.js';
+import { DEFAULT_SITE, REPLAY_SITE, listSiteIds, loadSiteRegistry, resolveSite, getSiteKbDir } from '../utils/ble-sites.js';
+import { loadBeaconRegistry, resolveBeaconInfo, resolveBeacon, formatBeaconCandidates } from '../utils/ble-beacons.js';
+import { publishBLEUpdate } from '../utils/ble-events.js';
+import { getBLEConfig, getSignalLevel } from '../utils/ble-config.js';
+import { addScanBatch, expireScans, SCAN_ASSEMBLY_TIMEOUT } from '../utils/ble-scan.js';
+import { collectExpired, appendArchive, pruneArchives } from '../utils/ble-archive.js';
+import { createExportFile } from '../utils/ble-export.js';
+import {
+  requestResetConfirmation,
+  consumeResetConfirmation,
+  resetBLEStore,
+  undoReset,
+  backupBLEData,
+  restoreBLEBackup
+} from '../utils/ble-reset.js';
+import { listBackups, AUTO_BACKUP_INTERVAL } from '../utils/ble-backup.js';
+import { analyzeCoverage, LOW_WIN_RATE } from '../utils/ble-coverage.js';
+import { detectScanAnomalies } from '../utils/ble-anomaly.js';
+import { validateBeaconBatch, recordBatchValidation, getRejectionStats } from '../utils/ble-schema.js';
+import { defineCounter, defineHistogram } from '../utils/metrics.js';
+import {
+  isTraceName,
+  startRecording,
+  stopRecording,
+  getRecordingStatus,
+  recordTraceEvent,
+  listTraces,
+  loadTrace,
+  generateScenario,
+  startReplay,
+  stopReplay,
+  getReplayStatus
+} from '../utils/ble-trace.js';
+import {
+  loadWatchdogConfig,
+  seedReceiverHealth,
+  recordReceiverReport,
+  checkReceiverHealth,
+  getReceiverHealth
+} from '../utils/ble-health.js';
+
+/** 信号强度分档显示文字 */
+const SIGNAL_LEVEL_TEXT = { strong: '强', medium: '中', weak: '弱', very_weak: '极弱' };
+
+/** 命令末尾可选的站点参数：@站点ID 或 @站点名称，未给出时为默认站点 */
+const SITE_ARG = '(?:\\s+@\\S+)?';
+
+/** 时间窗口的显示文字（如 10秒、5分钟），用于回复中说明配置的窗口 */
+function formatWindow(ms) {
+  if (ms < 60000) return `${Math.round(ms / 1000)}秒`;
+  if (ms < 3600000) return `${Math.round(ms / 6000) / 10}分钟`;
+  return `${Math.round(ms / 360000) / 10}小时`;
+}
+
+/** 运行指标（GET /api/kb/metrics） */
+const ingestEvents = defineCounter('ble_ingest_events_total', '接收器上报事件数（含整批丢弃与空批次）');
+const scanBeacons = defineHistogram('ble_scan_beacons', '每轮扫描提交的信标数', [0, 1, 2, 5, 10, 20, 50, 100, 200, 500]);
 
 export default class DeviceBLE extends PluginBase {
   constructor() {
@@ -11,18 +105,28 @@ export default class DeviceBLE extends PluginBase {
       event: 'message',
       priority: 500,
       rule: [
-        { reg: '^#蓝牙(现状|情况|状态|详情)$', fnc: 'showBLEStatus' },
-        { reg: '^#蓝牙列表$', fnc: 'showBeaconList' },
+        { reg: `^#蓝牙(现状|情况|状态|详情)${SITE_ARG}$`, fnc: 'showBLEStatus' },
+        { reg: `^#蓝牙列表${SITE_ARG}$`, fnc: 'showBeaconList' },
         { reg: '^#蓝牙详情\\s+(.+)$', fnc: 'showBeaconDetail' },
-        { reg: '^#蓝牙重置$', fnc: 'resetBLEData' },
-        { reg: '^#蓝牙json$', fnc: 'exportJSON' },
-        { reg: '^#蓝牙统计$', fnc: 'showStatistics' }
+        { reg: '^#蓝牙历史\\s+(.+)$', fnc: 'showBeaconHistory' },
+        { reg: '^#蓝牙采集\\s*(.*)$', fnc: 'captureFingerprint' },
+        { reg: '^#展区停留\\s*(.*)$', fnc: 'showExhibitionDwell' },
+        { reg: `^#接收器状态${SITE_ARG}$`, fnc: 'showReceiverHealth' },
+        { reg: '^#蓝牙录制\\s*(.*)$', fnc: 'recordTrace' },
+        { reg: '^#蓝牙回放\\s*(.*)$', fnc: 'replayTrace' },
+        { reg: `^#蓝牙重置\\s*(确认)?${SITE_ARG}$`, fnc: 'resetBLEData' },
+        { reg: `^#蓝牙撤销重置${SITE_ARG}$`, fnc: 'undoResetBLEData' },
+        { reg: `^#蓝牙备份列表${SITE_ARG}$`, fnc: 'listBLEBackups' },
+        { reg: '^#蓝牙备份(?!列表)\\s*(.*)$', fnc: 'createBLEBackup' },
+        { reg: '^#蓝牙恢复\\s*(.*)$', fnc: 'restoreBLEData' },
+        { reg: `^#蓝牙json${SITE_ARG}$`, fnc: 'exportJSON' },
+        { reg: '^#蓝牙导出\\s*(.*)$', fnc: 'exportFile' },
+        { reg: `^#蓝牙统计${SITE_ARG}$`, fnc: 'showStatistics' },
+        { reg: `^#蓝牙覆盖\\s*(\\d*)${SITE_ARG}$`, fnc: 'showCoverage' }
       ]
     });
-    this.dataFile = path.join(paths.data, 'blues', 'ble_data.json');
-    this.dataPath = path.dirname(this.dataFile);
     
-    // 半小时清理；log:false 避免挂机刷「开始执行/执行完成」
+    // 每半小时归档并清理过期数据（保留时长见 ble-config 的 retention / archiveRetentionDays）；log:false 避免挂机刷「开始执行/执行完成」
     this.task = {
       name: '蓝牙数据清理',
       cron: '0 */30 * * * *',
@@ -33,8 +137,26 @@ export default class DeviceBLE extends PluginBase {
 
   async init() {
     try {
-      await fs.mkdir(this.dataPath, { recursive: true });
       await this.checkAndRepairDataFile();
+      await this.startWatchdog();
+      
+      // 分批扫描超时未收齐时按部分结果提交
+      if (this.scanTimer) clearInterval(this.scanTimer);
+      this.scanTimer = setInterval(() => {
+        this.flushExpiredScans().catch((err) => {
+          logger.error(`[蓝牙插件] 提交超时扫描失败: ${err.message}`);
+        });
+      }, SCAN_ASSEMBLY_TIMEOUT);
+      this.scanTimer.unref?.();
+      
+      // 定时备份，数据文件损坏时可从最近的备份恢复
+      if (this.backupTimer) clearInterval(this.backupTimer);
+      this.backupTimer = setInterval(() => {
+        this.backupAllSites().catch((err) => {
+          logger.error(`[蓝牙插件] 自动备份失败: ${err.message}`);
+        });
+      }, AUTO_BACKUP_INTERVAL);
+      this.backupTimer.unref?.();
       logger.mark(`[蓝牙插件] 初始化完成 - 信标主体模式`);
     } catch (err) {
       logger.error(`[蓝牙插件] 初始化失败: ${err.message}`);
@@ -42,6 +164,7 @@ export default class DeviceBLE extends PluginBase {
     
     setTimeout(() => {
       AgentRuntime.on('device.ble_beacon_batch', async (e) => {
+        recordTraceEvent(e);
         await this.handleBLEData(e);
       });
 
@@ -50,63 +173,97 @@ export default class DeviceBLE extends PluginBase {
   }
 
   /**
-   * 递归解码对象中的所有 Unicode 字符串（复用 ble-utils.decodeUnicode）
+   * 启动接收器健康巡检：以各站点已记录的最近上报时间初始化，定时判定离线并告警
    */
-  decodeObject(obj) {
-    if (typeof obj === 'string') {
-      return decodeUnicode(obj);
+  async startWatchdog() {
+    const config = await loadWatchdogConfig();
+    const registry = await loadReceiverRegistry();
+    const registered = Object.keys(registry).filter(id => isReceiverEnabled(registry, id));
+    const devices = {};
+    for (const site of await listSiteIds()) {
+      Object.assign(devices, (await this.loadData(site)).devices);
     }
+    seedReceiverHealth(devices, registered, config.offlineAfter);
     
-    if (Array.isArray(obj)) {
-      return obj.map(item => this.decodeObject(item));
+    if (this.watchdogTimer) clearInterval(this.watchdogTimer);
+    this.watchdogTimer = setInterval(() => {
+      this.checkReceivers().catch((err) => {
+        logger.error(`[蓝牙插件] 接收器巡检失败: ${err.message}`);
+      });
+    }, config.checkInterval);
+    this.watchdogTimer.unref?.();
+  }
+
+  async checkReceivers() {
+    const config = await loadWatchdogConfig();
+    const registry = await loadReceiverRegistry();
+    for (const event of checkReceiverHealth(config)) {
+      if (!isReceiverEnabled(registry, event.deviceId)) continue;
+      const lastReport = event.lastReport ? new Date(event.lastReport).toLocaleString('zh-CN') : '从未上报';
+      await this.sendAlert(`⚠️ 接收器离线: ${registry[event.deviceId]?.name || event.name}（${event.deviceId}）\n最后上报: ${lastReport}`, config);
     }
-    
-    if (obj !== null && typeof obj === 'object') {
-      const decoded = {};
-      for (const [key, value] of Object.entries(obj)) {
-        decoded[key] = this.decodeObject(value);
+  }
+
+  /**
+   * 发送告警到配置的群（data/ble-watchdog.json 的 groups），未配置时只写日志
+   */
+  async sendAlert(msg, config) {
+    logger.warn(`[蓝牙插件] ${msg.replace(/\n/g, ' ')}`);
+    for (const groupId of config?.groups || []) {
+      try {
+        await AgentRuntime.pickGroup(groupId).sendMsg(msg);
+      } catch (err) {
+        logger.error(`[蓝牙插件] 告警发送到群 ${groupId} 失败: ${err.message}`);
       }
-      return decoded;
     }
-    
-    return obj;
   }
 
+  /**
+   * 各站点的数据文件不存在时创建；无法解析时由存储层保留损坏文件并从该站点最近的有效备份恢复
+   */
   async checkAndRepairDataFile() {
-    try {
-      const content = await fs.readFile(this.dataFile, 'utf-8');
-      JSON.parse(content);
-    } catch (err) {
-      if (err.code === 'ENOENT' || err instanceof SyntaxError) {
-        await this.saveData({ 
-          devices: {},
-          beacons: {}
-        });
-        logger.mark('[蓝牙插件] 初始化数据文件');
+    for (const site of await listSiteIds()) {
+      const label = site === DEFAULT_SITE ? '' : `站点 ${site} 的`;
+      const exists = await fs.access(getBLEDataPath(site)).then(() => true, () => false);
+      await this.loadData(site);
+      if (!exists) {
+        await this.saveData(createEmptyData(), site);
+        logger.mark(`[蓝牙插件] 初始化${label}数据文件`);
+        continue;
+      }
+      const recovery = getBLERecovery(site);
+      if (!recovery) continue;
+      if (recovery.backupId) {
+        logger.warn(`[蓝牙插件] ${label}数据文件损坏（${recovery.error}），已从备份 ${recovery.backupId} 恢复，损坏文件保存为 ${recovery.corruptFile}`);
+      } else {
+        logger.error(`[蓝牙插件] ${label}数据文件损坏（${recovery.error}）且没有可用备份，已以空数据启动，损坏文件保存为 ${recovery.corruptFile}`);
       }
+      await flushBLEData(site);
     }
   }
 
-  async loadData() {
-    try {
-      const content = await fs.readFile(this.dataFile, 'utf-8');
-      const data = JSON.parse(content);
-      
-      // 解码所有Unicode转义序列
-      const decoded = this.decodeObject(data);
-      
-      if (!decoded.devices) decoded.devices = {};
-      if (!decoded.beacons) decoded.beacons = {};
-      
-      return decoded;
-    } catch (err) {
-      return { devices: {}, beacons: {} };
+  /**
+   * 自动备份各站点的数据
+   */
+  async backupAllSites() {
+    for (const site of await listSiteIds()) {
+      await backupBLEData({ type: 'auto', site });
     }
   }
 
-  async saveData(data) {
+  /**
+   * 读取站点的共享内存状态（只读；Unicode 已在加载时解码）
+   */
+  async loadData(site = DEFAULT_SITE) {
+    return getBLEData(site);
+  }
+
+  /**
+   * 整体替换站点数据并立即落盘；增量修改请用 updateBLEData，由快照定时落盘
+   */
+  async saveData(data, site = DEFAULT_SITE) {
     try {
-      await fs.writeFile(this.dataFile, JSON.stringify(data, null, 2));
+      await writeBLEData(data, site);
       return true;
     } catch (err) {
       logger.error(`[蓝牙插件] 保存数据失败: ${err.message}`);
@@ -116,22 +273,87 @@ export default class DeviceBLE extends PluginBase {
 
   async handleBLEData(e) {
     try {
-      const deviceId = e.device_id;
-      const reportData = e.event_data || {};
-      let beacons = reportData.beacons || [];
-      
-      if (!deviceId || !beacons.length) return;
+      const deviceId = e.device_id != null ? String(e.device_id).trim() : '';
+      if (!deviceId) return;
       
-      const data = await this.loadData();
       const now = Date.now();
+      // 回放 / 模拟事件写入回放站点，不计入指标、格式统计与接收器监测（避免模拟接收器停止后被判离线告警）
+      const replayed = e.replayed === true;
+      if (!replayed) ingestEvents.inc({ receiver: deviceId });
       
-      // 更新接收器信息
-      data.devices[deviceId] = {
+      // 格式校验：MAC / RSSI / online 规范化，不合规的条目丢弃并计数
+      const reportData = validateBeaconBatch(e.event_data);
+      if (!replayed) recordBatchValidation(deviceId, reportData, now);
+      const { beacons, rejected } = reportData;
+      
+      // 健康监测：空批次也算一次上报（展区里暂时没有信标时接收器仍在工作）
+      if (!replayed) {
+        const watchdogConfig = await loadWatchdogConfig();
+        const recovered = recordReceiverReport(deviceId, {
+          name: e.device_name,
+          batch: reportData.batch,
+          total_batches: reportData.total_batches
+        }, watchdogConfig, now);
+        if (recovered) {
+          const registry = await loadReceiverRegistry();
+          if (isReceiverEnabled(registry, deviceId)) {
+            const downtime = Math.round(recovered.downtime / 60000);
+            this.sendAlert(`✅ 接收器恢复: ${registry[deviceId]?.name || recovered.name}（${deviceId}）\n离线约 ${downtime} 分钟`, watchdogConfig);
+          }
+        }
+      }
+      
+      if (!reportData.ok) {
+        logger.warn(`[蓝牙插件] ${e.device_name || deviceId} 上报格式不合规（${rejected[0].reason}），整批丢弃`);
+        return;
+      }
+      if (rejected.length) {
+        const reasons = [...new Set(rejected.map(r => r.reason))].join('、');
+        logger.warn(`[蓝牙插件] ${e.device_name || deviceId} 上报中 ${rejected.length} 个信标条目不合规已丢弃（${reasons}）`);
+      }
+      
+      // 分批扫描：收齐一轮（或上一轮超时 / 被新一轮打断）后整体提交
+      const scans = addScanBatch(deviceId, reportData, {
         name: e.device_name || deviceId,
         type: e.device_type || 'ESP32',
+        replayed
+      }, now);
+      for (const scan of scans) {
+        await this.commitScan(scan, now);
+      }
+      
+      const batchInfo = reportData.batch && reportData.total_batches > 1 ? 
+        ` (批${reportData.batch}/${reportData.total_batches})` : '';
+      logger.mark(`[蓝牙插件] ${e.device_name || deviceId} 上报 ${beacons.length} 个信标${batchInfo}`);
+      
+    } catch (error) {
+      logger.error(`[蓝牙插件] 处理数据失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 提交一轮扫描：更新接收器所属站点的检测数据，完整扫描中缺席的信标标记离开，再驱动指纹采集、展区会话、参观统计与推送；
+   * 回放的扫描只写入回放站点并推送
+   * @param {Object} scan - addScanBatch / expireScans 的返回项
+   * @param {number} now
+   */
+  async commitScan(scan, now) {
+    const { deviceId, beacons } = scan;
+    const registry = await loadReceiverRegistry();
+    const replayed = scan.meta.replayed === true;
+    const site = replayed ? REPLAY_SITE : resolveReceiverSite(registry, deviceId);
+    if (!replayed) scanBeacons.observe({ receiver: deviceId }, beacons.length);
+    
+    const absent = [];
+    await updateBLEData((data) => {
+      // 更新接收器信息
+      data.devices[deviceId] = {
+        name: scan.meta.name || deviceId,
+        type: scan.meta.type || 'ESP32',
         update: now,
-        batch: reportData.batch || 1,
-        total_batches: reportData.total_batches || 1
+        batch: scan.received[scan.received.length - 1] || 1,
+        total_batches: scan.total,
+        scan_complete: scan.complete
       };
       
       // 更新全局信标信息
@@ -150,28 +372,100 @@ export default class DeviceBLE extends PluginBase {
           data.beacons[beacon.mac].name = beacon.name;
         }
         
-        let rssiValue = beacon.rssi;
-        if (typeof beacon.rssi === 'object') {
-          rssiValue = beacon.rssi.average || beacon.rssi.current || beacon.rssi;
-        }
+        // 按信标 × 接收器平滑；检测已超时则滤波从当前值重新起步（RSSI 已在校验时规范化为数值）
+        const previous = data.beacons[beacon.mac].detections[deviceId];
+        const rawRssi = beacon.rssi;
+        const smoothed = smoothRssi(
+          previous && !isDetectionStale(previous, now) ? previous.rssi_filter : null,
+          rawRssi,
+          getBLEConfig().rssiSmoothing
+        );
         
         data.beacons[beacon.mac].detections[deviceId] = {
-          receiver_name: e.device_name || deviceId,
+          receiver_name: scan.meta.name || deviceId,
           online: beacon.online,
-          rssi: rssiValue,
+          rssi: smoothed.value,
+          rssi_raw: rawRssi,
+          rssi_smoothed: smoothed.value,
+          rssi_filter: smoothed.state,
           last_seen: now,
           update_time: now
         };
+        
+        // RSSI 时序按接收器保存、不分站点，回放的采样不记入，以免混入真实接收器的时序
+        if (!replayed) recordRssi(beacon.mac, deviceId, rawRssi, now, smoothed.value);
       }
       
-      await this.saveData(data);
-      
-      const batchInfo = reportData.batch && reportData.total_batches > 1 ? 
-        ` (批${reportData.batch}/${reportData.total_batches})` : '';
-      logger.mark(`[蓝牙插件] ${e.device_name || deviceId} 上报 ${beacons.length} 个信标${batchInfo}`);
-      
-    } catch (error) {
-      logger.error(`[蓝牙插件] 处理数据失败: ${error.message}`);
+      // 完整的一轮中没有出现的信标：标记为已离开该接收器（不再计入有效接收器）
+      if (scan.complete) {
+        const seen = new Set(beacons.map(b => b.mac));
+        for (const [mac, beaconData] of Object.entries(data.beacons)) {
+          const detection = beaconData.detections?.[deviceId];
+          if (!detection || seen.has(mac) || detection.absent_since) continue;
+          detection.online = false;
+          detection.absent_since = now;
+          absent.push(mac);
+        }
+      }
+    }, site);
+    
+    const data = await this.loadData(site);
+    
+    if (replayed) {
+      publishBLEUpdate({ deviceId, site, beacons: [...beacons.map(b => b.mac).filter(Boolean), ...absent], time: now });
+      return;
+    }
+    
+    // 指纹采集模式：参考信标在本批次中时，记录其当前 RSSI 向量（只记入采集所在站点）
+    const capture = getCaptureStatus();
+    if (capture && data.beacons[capture.beaconMac] && beacons.some(b => b.mac === capture.beaconMac)) {
+      recordFingerprintSample(capture.beaconMac, getValidReceivers(data.beacons[capture.beaconMac], now), now, site);
+    }
+    
+    // 展区会话：按最强有效接收器（带滞回）判定所在展区，接收器经注册表映射到展区
+    const exhibitionOf = (receiverId) => resolveExhibitionId(registry, receiverId);
+    for (const mac of new Set([...beacons.map(b => b.mac).filter(Boolean), ...absent])) {
+      const beaconData = data.beacons[mac];
+      if (!beaconData) continue;
+      trackBeacon(mac, beaconData.name, getValidReceivers(beaconData, now), now, exhibitionOf, site);
+    }
+    sweepSessions(now);
+    
+    // 参观统计：导览信标（注册表 role=visitor）每天首次被检测到计一位参观者
+    const beaconRegistry = await loadBeaconRegistry();
+    for (const beacon of beacons) {
+      if (beacon.mac && resolveBeaconInfo(beaconRegistry, beacon.mac, data.beacons[beacon.mac]?.name).role === 'visitor') {
+        recordVisit(beacon.mac, now, site).catch((err) => {
+          logger.error(`[蓝牙插件] 记录参观统计失败: ${err.message}`);
+        });
+      }
+    }
+    
+    // 异常检测：同名不同 MAC、不相邻接收器间跳变、RSSI 突变、未登记 MAC 涌入
+    const anomalies = detectScanAnomalies({ deviceId, site, beacons, data, receivers: registry, beaconRegistry }, now);
+    if (anomalies.length) {
+      const watchdogConfig = await loadWatchdogConfig();
+      const siteTag = site === DEFAULT_SITE ? '' : `【${(await loadSiteRegistry())[site]?.name || site}】`;
+      for (const anomaly of anomalies) {
+        this.sendAlert(`⚠️ 蓝牙异常${siteTag}: ${anomaly.message}`, watchdogConfig);
+      }
+    }
+    
+    // 通知 SSE 等订阅方推送最新数据
+    publishBLEUpdate({ deviceId, site, beacons: [...beacons.map(b => b.mac).filter(Boolean), ...absent], time: now });
+    
+    if (!scan.complete) {
+      logger.warn(`[蓝牙插件] ${scan.meta.name || deviceId} 扫描未收齐（${scan.received.join(',')}/${scan.total}），按部分结果提交`);
+    }
+  }
+
+  /**
+   * 提交超时未收齐的扫描
+   */
+  async flushExpiredScans() {
+    const now = Date.now();
+    for (const scan of expireScans(now)) {
+      await this.commitScan(scan, now);
     }
   }
 
@@ -179,9 +473,11 @@ export default class DeviceBLE extends PluginBase {
    * 显示蓝牙状态 - 以信标为主体
    */
   async showBLEStatus(e) {
-    const data = await this.loadData();
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const data = await this.loadData(target.site);
     if (!data.beacons || !Object.keys(data.beacons).length) {
-      await e.reply('暂无蓝牙信标数据');
+      await e.reply(`${target.tag}暂无蓝牙信标数据`);
       return true;
     }
     const now = Date.now();
@@ -194,7 +490,7 @@ export default class DeviceBLE extends PluginBase {
       for (const [deviceId, detection] of Object.entries(beaconData.detections || {})) {
         const timeDiff = now - detection.update_time;
         
-        if (detection.online && timeDiff <= ACTIVE_WINDOW) {
+        if (detection.online && timeDiff <= getBLEConfig().activeWindow) {
           receivers.push({
             deviceId,
             name: detection.receiver_name,
@@ -218,13 +514,13 @@ export default class DeviceBLE extends PluginBase {
     }
     
     if (activeBeacons.length === 0) {
-      await e.reply('暂无活跃的蓝牙信标（10秒内）');
+      await e.reply(`${target.tag}暂无活跃的蓝牙信标（${formatWindow(getBLEConfig().activeWindow)}内）`);
       return true;
     }
     
     activeBeacons.sort((a, b) => b.strongestRssi - a.strongestRssi);
     
-    let msg = ['📡 蓝牙信标状态（信标主体视图）\n'];
+    let msg = [`📡 蓝牙信标状态（信标主体视图）${target.tag}\n`];
     msg.push('═══════════════════════════\n\n');
     
     const displayBeacons = activeBeacons.slice(0, 15);
@@ -241,11 +537,7 @@ export default class DeviceBLE extends PluginBase {
         
         const badge = i === 0 ? '🏆 ' : '   ';
         
-        let signalLevel = '';
-        if (receiver.rssi >= -60) signalLevel = '📶强';
-        else if (receiver.rssi >= -70) signalLevel = '📶中';
-        else if (receiver.rssi >= -80) signalLevel = '📶弱';
-        else signalLevel = '📶极弱';
+        const signalLevel = `📶${SIGNAL_LEVEL_TEXT[getSignalLevel(receiver.rssi)]}`;
         
         msg.push(`${badge}${signalLevel} ${receiver.name}\n`);
         msg.push(`      信号: ${receiver.rssi}dBm | ${timeStr}\n`);
@@ -260,21 +552,23 @@ export default class DeviceBLE extends PluginBase {
     const totalDevices = Object.keys(data.devices).length;
     const totalBeacons = Object.keys(data.beacons).length;
     const activeDevices = Object.values(data.devices).filter(d => 
-      now - d.update <= ACTIVE_WINDOW
+      now - d.update <= getBLEConfig().activeWindow
     ).length;
     
     msg.push('═══════════════════════════\n');
     msg.push(`📊 统计: ${activeDevices}/${totalDevices}活跃接收器 | `);
     msg.push(`${activeBeacons.length}/${totalBeacons}活跃信标\n`);
-    msg.push(`💡 提示: 发送 #蓝牙列表 查看完整列表`);
+    msg.push(`💡 提示: 发送 #蓝牙列表${target.arg} 查看完整列表`);
     await e.reply(msg.join(''));
     return true;
   }
 
   async showBeaconList(e) {
-    const data = await this.loadData();
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const data = await this.loadData(target.site);
     if (!data.beacons || !Object.keys(data.beacons).length) {
-      await e.reply('暂无蓝牙信标数据');
+      await e.reply(`${target.tag}暂无蓝牙信标数据`);
       return true;
     }
     const now = Date.now();
@@ -287,7 +581,7 @@ export default class DeviceBLE extends PluginBase {
       let newestUpdate = 0;
       
       for (const detection of Object.values(beaconData.detections || {})) {
-        if (detection.online && now - detection.update_time <= ACTIVE_WINDOW) {
+        if (detection.online && now - detection.update_time <= getBLEConfig().activeWindow) {
           activeReceivers++;
           if (detection.rssi > strongestRssi) {
             strongestRssi = detection.rssi;
@@ -313,7 +607,7 @@ export default class DeviceBLE extends PluginBase {
       return b.strongestRssi - a.strongestRssi;
     });
     
-    let msg = ['📋 蓝牙信标完整列表\n'];
+    let msg = [`📋 蓝牙信标完整列表${target.tag}\n`];
     msg.push('═══════════════════════════\n\n');
     
     for (const beacon of beaconList) {
@@ -338,37 +632,27 @@ export default class DeviceBLE extends PluginBase {
     
     msg.push('═══════════════════════════\n');
     msg.push(`总计: ${beaconList.length} 个信标\n`);
-    msg.push(`💡 发送 #蓝牙详情 [名称] 查看详情`);
+    msg.push(`💡 发送 #蓝牙详情 [名称]${target.arg} 查看详情`);
     await e.reply(msg.join(''));
     return true;
   }
 
   async showBeaconDetail(e) {
-    const name = e.msg.replace(/^#蓝牙详情\s+/, '').trim();
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const name = target.msg.replace(/^#蓝牙详情\s*/, '').trim();
     if (!name) {
       await e.reply('请指定信标名称，例如：#蓝牙详情 ESP-C3-003');
       return true;
     }
-    const data = await this.loadData();
+    const data = await this.loadData(target.site);
     const now = Date.now();
     
-    let targetBeacon = null;
-    let targetMac = null;
+    const found = await this.resolveBeaconKeyword(e, data, name);
+    if (!found) return true;
+    const { beacon: targetBeacon, mac: targetMac } = found;
     
-    for (const [mac, beaconData] of Object.entries(data.beacons)) {
-      if (beaconData.name && beaconData.name.includes(name)) {
-        targetBeacon = beaconData;
-        targetMac = mac;
-        break;
-      }
-    }
-    
-    if (!targetBeacon) {
-      await e.reply(`未找到名称包含 "${name}" 的信标`);
-      return true;
-    }
-    
-    let msg = [`🔍 信标详细信息\n`];
+    let msg = [`🔍 信标详细信息${target.tag}\n`];
     msg.push('═══════════════════════════\n\n');
     msg.push(`📍 名称: ${targetBeacon.name}\n`);
     msg.push(`🔖 MAC: ${targetMac}\n`);
@@ -387,7 +671,7 @@ export default class DeviceBLE extends PluginBase {
         online: detection.online,
         lastSeen: detection.update_time,
         timeDiff,
-        isRecent: timeDiff <= 10000
+        isRecent: timeDiff <= getBLEConfig().detailRecentWindow
       });
     }
     
@@ -423,17 +707,360 @@ export default class DeviceBLE extends PluginBase {
       msg.push(`   最强信号: ${maxRssi}dBm\n`);
       msg.push(`   最弱信号: ${minRssi}dBm\n`);
     }
+    
+    const position = estimatePosition(getValidReceivers(targetBeacon, now), await loadReceiverLayout());
+    if (position) {
+      const methodStr = position.method === 'trilateration' ? '三边定位' :
+                        position.method === 'weighted-centroid' ? '加权质心' : '最近接收器';
+      msg.push('═══════════════════════════\n');
+      msg.push('📐 位置估算:\n');
+      msg.push(`   坐标: (${position.x}, ${position.y})m${position.floor != null ? ` | ${position.floor}层` : ''}\n`);
+      msg.push(`   误差半径: ±${position.uncertainty}m\n`);
+      msg.push(`   方法: ${methodStr}（${position.receivers.length}个接收器）\n`);
+    }
+    
+    const fingerprint = matchFingerprint(getValidReceivers(targetBeacon, now), await loadFingerprints(target.site));
+    if (fingerprint) {
+      msg.push('═══════════════════════════\n');
+      msg.push('🧭 指纹定位:\n');
+      msg.push(`   最近点位: ${fingerprint.label}${fingerprint.exhibitionId ? `（${fingerprint.exhibitionId}）` : ''}\n`);
+      msg.push(`   置信度: ${Math.round(fingerprint.confidence * 100)}% | 向量距离: ${fingerprint.distance}dB\n`);
+    }
+    await e.reply(msg.join(''));
+    return true;
+  }
+
+  async showBeaconHistory(e) {
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const name = target.msg.replace(/^#蓝牙历史\s*/, '').trim();
+    if (!name) {
+      await e.reply('请指定信标名称，例如：#蓝牙历史 ESP-C3-003');
+      return true;
+    }
+    const data = await this.loadData(target.site);
+    const now = Date.now();
+    const windowMs = getBLEConfig().historyWindow;
+    
+    const found = await this.resolveBeaconKeyword(e, data, name);
+    if (!found) return true;
+    const { beacon: targetBeacon, mac: targetMac } = found;
+    
+    const history = getRssiHistory(targetMac, {
+      since: now - windowMs,
+      receiverFilter: siteReceiverFilter(await loadReceiverRegistry(), target.site)
+    });
+    const summaries = Object.entries(history)
+      .map(([deviceId, samples]) => ({
+        deviceId,
+        name: targetBeacon.detections?.[deviceId]?.receiver_name || deviceId,
+        ...summarizeRssiTrend(samples)
+      }))
+      .sort((a, b) => b.avg - a.avg);
+    
+    if (!summaries.length) {
+      await e.reply(`信标 ${targetBeacon.name} 最近 ${formatWindow(windowMs)}没有RSSI采样`);
+      return true;
+    }
+    
+    let msg = [`📈 信标RSSI历史${target.tag}\n`];
+    msg.push('═══════════════════════════\n\n');
+    msg.push(`📍 名称: ${targetBeacon.name}\n`);
+    msg.push(`🔖 MAC: ${targetMac}\n`);
+    msg.push(`⏱ 范围: 最近 ${formatWindow(windowMs)}\n\n`);
+    
+    for (let i = 0; i < summaries.length; i++) {
+      const item = summaries[i];
+      const badge = i === 0 ? '🏆 ' : '   ';
+      const trendStr = item.trend === 'up' ? '📈增强' :
+                       item.trend === 'down' ? '📉减弱' : '➖平稳';
+      const delta = item.delta >= 0 ? `+${item.delta.toFixed(1)}` : item.delta.toFixed(1);
+      
+      msg.push(`${badge}${item.name}\n`);
+      msg.push(`   采样: ${item.count}次 | 最新: ${item.latest}dBm | 平均: ${item.avg.toFixed(1)}dBm\n`);
+      msg.push(`   范围: ${item.min} ~ ${item.max}dBm | 波动: ±${item.stddev.toFixed(1)}dB${item.stddev >= 6 ? ' ⚠️抖动较大' : ''}\n`);
+      msg.push(`   趋势: ${trendStr} (${delta}dB)\n\n`);
+    }
+    
+    msg.push('═══════════════════════════\n');
+    msg.push(`💡 完整采样: GET /api/ble/beacon/${targetMac}/history${target.explicit ? `?site=${target.site}` : ''}`);
+    await e.reply(msg.join(''));
+    return true;
+  }
+
+  /**
+   * #蓝牙采集 <点位名> [信标]：以参考信标采集该点位的 RSSI 指纹；
+   * #蓝牙采集 停止：结束采集；#蓝牙采集：查看指纹库与采集状态；末尾加 @站点 指定指纹库所属站点
+   */
+  async captureFingerprint(e) {
+    if (!e.isMaster) {
+      await e.reply('仅主人可使用指纹采集');
+      return true;
+    }
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const args = target.msg.replace(/^#蓝牙采集\s*/, '').trim().split(/\s+/).filter(Boolean);
+    
+    if (!args.length) {
+      const summary = await summarizeFingerprints(target.site);
+      let msg = [`🧭 RSSI指纹库${target.tag}\n`];
+      msg.push('═══════════════════════════\n\n');
+      if (summary.capture) {
+        const left = Math.max(0, Math.ceil((summary.capture.until - Date.now()) / 1000));
+        const where = summary.capture.site === target.site ? '' : `（站点 ${summary.capture.site}）`;
+        msg.push(`🔴 采集中: ${summary.capture.label}${where}（已采 ${summary.capture.samples} 组，剩余 ${left}秒）\n\n`);
+      }
+      if (!summary.points.length) {
+        msg.push('暂无指纹点位\n');
+      }
+      for (const point of summary.points) {
+        msg.push(`📍 ${point.label}${point.exhibitionId ? `（${point.exhibitionId}）` : ''}: ${point.samples}组采样\n`);
+      }
+      msg.push('\n═══════════════════════════\n');
+      msg.push(`💡 #蓝牙采集 <点位名> [信标] 开始采集，#蓝牙采集 停止 结束`);
+      await e.reply(msg.join(''));
+      return true;
+    }
+    
+    if (args[0] === '停止' || args[0] === '结束') {
+      const status = await stopCapture();
+      await e.reply(status ? `✅ 已结束采集「${status.label}」，共记录 ${status.samples} 组RSSI向量` : '当前没有进行中的采集');
+      return true;
+    }
+    
+    const [label, keyword] = args;
+    const data = await this.loadData(target.site);
+    let beaconMac = null;
+    if (keyword) {
+      const found = await this.resolveBeaconKeyword(e, data, keyword);
+      if (!found) return true;
+      beaconMac = found.mac;
+    } else {
+      beaconMac = (await loadFingerprints(target.site)).reference;
+      if (!beaconMac) {
+        await e.reply('首次采集请指定参考信标，例如：#蓝牙采集 入口 ESP-C3-1');
+        return true;
+      }
+    }
+    
+    const status = await startCapture({ label, beaconMac, site: target.site });
+    const seconds = Math.round((status.until - status.startedAt) / 1000);
+    await e.reply(`🧭 开始采集点位「${label}」${target.tag}\n参考信标: ${data.beacons[beaconMac]?.name || beaconMac}\n请将信标放在该点位保持 ${seconds} 秒，到时自动结束`);
+    return true;
+  }
+
+  /**
+   * #展区停留 [展区ID] [@站点]：今日各展区参观次数与停留时长；指定展区时列出最近的会话
+   */
+  async showExhibitionDwell(e) {
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const exhibitionId = target.msg.replace(/^#展区停留\s*/, '').trim();
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const sessions = await querySessions({
+      exhibition: exhibitionId || undefined,
+      from: startOfDay.getTime(),
+      site: target.site
+    });
+    
+    if (!sessions.length) {
+      await e.reply(exhibitionId ? `${target.tag}今日展区 ${exhibitionId} 暂无停留记录` : `${target.tag}今日暂无展区停留记录`);
+      return true;
+    }
+    
+    const exhibitions = await this.loadExhibitionNames(target.site);
+    const formatDwell = (ms) => {
+      const seconds = Math.round(ms / 1000);
+      if (seconds < 60) return `${seconds}秒`;
+      const minutes = Math.floor(seconds / 60);
+      return minutes < 60 ? `${minutes}分${seconds % 60}秒` : `${Math.floor(minutes / 60)}小时${minutes % 60}分`;
+    };
+    
+    let msg = [`⏱ 今日展区停留统计${target.tag}\n`];
+    msg.push('═══════════════════════════\n\n');
+    
+    for (const item of summarizeSessions(sessions)) {
+      msg.push(`🏛 ${exhibitions[item.exhibitionId] || item.exhibitionId}\n`);
+      msg.push(`   参观: ${item.visits}次 | 信标: ${item.visitors}个${item.active ? ` | 当前: ${item.active}个` : ''}\n`);
+      msg.push(`   平均停留: ${formatDwell(item.avgDwell)} | 最长: ${formatDwell(item.maxDwell)}\n\n`);
+    }
+    
+    if (exhibitionId) {
+      msg.push('📋 最近会话:\n');
+      for (const s of sessions.slice(-10).reverse()) {
+        const enter = new Date(s.enter).toLocaleTimeString('zh-CN');
+        const status = s.leave == null ? '🟢停留中' : '⚪已离开';
+        msg.push(`   ${status} ${s.beaconName || s.beacon} | ${enter} 进入 | ${formatDwell(s.dwell)}\n`);
+      }
+      msg.push('\n');
+    }
+    
+    msg.push('═══════════════════════════\n');
+    msg.push(`💡 明细: GET /api/kb/sessions?exhibition=&beacon=&from=&to=${target.explicit ? `&site=${target.site}` : ''}`);
+    await e.reply(msg.join(''));
+    return true;
+  }
+
+  async showReceiverHealth(e) {
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const registry = await loadReceiverRegistry();
+    const health = getReceiverHealth().filter(item => resolveReceiverSite(registry, item.deviceId) === target.site);
+    if (!health.length) {
+      await e.reply(`${target.tag}暂无接收器数据`);
+      return true;
+    }
+    
+    const statusText = { online: '🟢在线', offline: '🔴离线', unknown: '⚪未知' };
+    const formatAge = (ms) => {
+      if (ms == null) return '从未上报';
+      const seconds = Math.round(ms / 1000);
+      if (seconds < 60) return `${seconds}秒前`;
+      const minutes = Math.floor(seconds / 60);
+      return minutes < 60 ? `${minutes}分钟前` : `${Math.floor(minutes / 60)}小时前`;
+    };
+    
+    let msg = [`📡 接收器状态${target.tag}\n`];
+    msg.push('═══════════════════════════\n\n');
+    
+    for (const item of health) {
+      const name = registry[item.deviceId]?.name || item.name;
+      const disabled = isReceiverEnabled(registry, item.deviceId) ? '' : '（已停用）';
+      msg.push(`${statusText[item.status] || item.status} ${name}${disabled}\n`);
+      msg.push(`   ID: ${item.deviceId} | 最后上报: ${formatAge(item.silentFor)}\n`);
+      const completeness = item.batchCompleteness == null ? '-' : `${Math.round(item.batchCompleteness * 100)}%`;
+      msg.push(`   频率: ${item.reportsPerMinute}次/分 | 分批完整: ${completeness} | 在线率: ${Math.round(item.uptime * 100)}%\n\n`);
+    }
+    
+    const online = health.filter(item => item.status === 'online').length;
+    msg.push('═══════════════════════════\n');
+    msg.push(`📊 在线 ${online}/${health.length}\n`);
+    msg.push(`💡 明细: GET /api/ble/receivers/health${target.explicit ? `?site=${target.site}` : ''}`);
+    await e.reply(msg.join(''));
+    return true;
+  }
+
+  /**
+   * #蓝牙覆盖 [分钟] [@站点]：最近若干分钟（默认 10）的接收器覆盖矩阵与盲区
+   */
+  async showCoverage(e) {
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const minutes = Number(target.msg.replace(/^#蓝牙覆盖\s*/, '')) || 10;
+    const coverage = await analyzeCoverage({ from: Date.now() - minutes * 60 * 1000, site: target.site });
+    if (!coverage.beacons.length) {
+      await e.reply(`${target.tag}最近 ${minutes} 分钟没有RSSI采样（重启后需等待接收器上报）`);
+      return true;
+    }
+    const exhibitions = await this.loadExhibitionNames(target.site);
+    const percent = (value) => value == null ? '-' : `${Math.round(value * 100)}%`;
+    
+    let msg = [`📡 接收器覆盖（最近 ${minutes} 分钟）${target.tag}\n`];
+    msg.push('═══════════════════════════\n');
+    if (coverage.window.dataFrom > coverage.window.from + coverage.window.slot) {
+      msg.push(`⚠️ RSSI历史仅覆盖最近 ${Math.max(Math.round((Date.now() - coverage.window.dataFrom) / 60000), 1)} 分钟\n`);
+    }
+    
+    msg.push('\n🔧 接收器:\n');
+    for (const r of coverage.receivers) {
+      msg.push(`   ${r.name}（${r.deviceId}）: ${r.beacons}个信标 | 最强 ${r.wins}/${r.heardSlots} 片（${percent(r.winRate)}）\n`);
+    }
+    
+    msg.push('\n📋 信标（0台 / 1台 / 2+台）:\n');
+    for (const b of coverage.beacons.slice(0, 20)) {
+      const heard = Object.entries(b.receivers)
+        .sort((x, y) => y[1].medianRssi - x[1].medianRssi)
+        .map(([deviceId, r]) => `${deviceId} ${Math.round(r.medianRssi)}`)
+        .join(' / ');
+      msg.push(`   ${b.displayName}: ${percent(b.seenByRatio.none)} / ${percent(b.seenByRatio.single)} / ${percent(b.seenByRatio.multiple)}\n`);
+      msg.push(`      ${heard}\n`);
+    }
+    if (coverage.beacons.length > 20) {
+      msg.push(`   ... 共 ${coverage.beacons.length} 个信标\n`);
+    }
+    
+    const flagged = coverage.exhibitions.filter(x => x.flagged);
+    msg.push('\n🏛 展区:\n');
+    if (!flagged.length) {
+      msg.push(`   各展区接收器最强比例均不低于 ${percent(LOW_WIN_RATE)}\n`);
+    }
+    for (const x of flagged) {
+      const name = exhibitions[x.exhibitionId] || x.exhibitionId;
+      msg.push(x.reason === 'never_heard'
+        ? `   ⚠️ ${name}: 接收器未听到任何信标\n`
+        : `   ⚠️ ${name}: 仅 ${percent(x.winRate)} 的时间片为最强接收器，信标多被邻近展区接收器归属\n`);
+    }
+    
+    msg.push('\n═══════════════════════════\n');
+    msg.push(`💡 明细: GET /api/ble/coverage?from=&to=&slot=${target.explicit ? `&site=${target.site}` : ''}`);
     await e.reply(msg.join(''));
     return true;
   }
 
+  /**
+   * 展区ID -> 展区名称（读取前端展区配置，失败时返回空对象）
+   */
+  async loadExhibitionNames(site = DEFAULT_SITE) {
+    try {
+      const content = await fs.readFile(path.join(getSiteKbDir(site), 'exhibitions.json'), 'utf-8');
+      const names = {};
+      for (const [id, exhibition] of Object.entries(JSON.parse(content) || {})) {
+        names[id] = exhibition.name || id;
+      }
+      return names;
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * 解析命令末尾的站点参数（@站点ID 或 @站点名称），未给出时为默认站点；站点不存在时直接回复
+   * @returns {Promise<{ site: string, name: string, explicit: boolean, msg: string, tag: string, arg: string }|null>}
+   *   msg 为去掉站点参数后的命令；tag / arg 为非默认站点时加在标题后的站点名与提示命令中的站点参数
+   */
+  async parseSite(e) {
+    const text = e.msg.trim();
+    const matched = text.match(/\s+@(\S+)$/);
+    const resolved = await resolveSite(matched?.[1]);
+    if (resolved.error) {
+      await e.reply(resolved.error);
+      return null;
+    }
+    const isDefault = resolved.site === DEFAULT_SITE;
+    return {
+      ...resolved,
+      explicit: !!matched,
+      msg: matched ? text.slice(0, matched.index) : text,
+      tag: isDefault ? '' : `【${resolved.name}】`,
+      arg: isDefault ? '' : ` @${resolved.site}`
+    };
+  }
+
+  /**
+   * 按 MAC、名称关键字或别名查找信标（同 API 的 resolveBeacon）；未找到或匹配到多个时直接回复
+   * @returns {Promise<{ beacon: Object, mac: string }|null>}
+   */
+  async resolveBeaconKeyword(e, data, keyword) {
+    const { match, candidates } = resolveBeacon(data, await loadBeaconRegistry(), keyword);
+    if (match) return match;
+    if (candidates.length) {
+      await e.reply(`"${keyword}" 匹配到 ${candidates.length} 个信标，请使用完整名称、别名或 MAC：\n${formatBeaconCandidates(candidates)}`);
+    } else {
+      await e.reply(`未找到名称、别名或 MAC 匹配 "${keyword}" 的信标`);
+    }
+    return null;
+  }
+
   async showStatistics(e) {
-    const data = await this.loadData();
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const data = await this.loadData(target.site);
     const now = Date.now();
     
     const totalReceivers = Object.keys(data.devices).length;
     const activeReceivers = Object.values(data.devices).filter(d => 
-      now - d.update <= ACTIVE_WINDOW
+      now - d.update <= getBLEConfig().activeWindow
     ).length;
     
     const totalBeacons = Object.keys(data.beacons).length;
@@ -447,7 +1074,7 @@ export default class DeviceBLE extends PluginBase {
       let activeCount = 0;
       
       for (const detection of Object.values(beaconData.detections || {})) {
-        if (detection.online && now - detection.update_time <= ACTIVE_WINDOW) {
+        if (detection.online && now - detection.update_time <= getBLEConfig().activeWindow) {
           activeCount++;
           rssiValues.push(detection.rssi);
         }
@@ -470,7 +1097,7 @@ export default class DeviceBLE extends PluginBase {
       minRssi = Math.min(...rssiValues);
     }
     
-    let msg = ['📊 蓝牙系统统计\n'];
+    let msg = [`📊 蓝牙系统统计${target.tag}\n`];
     msg.push('═══════════════════════════\n\n');
     
     msg.push('🔧 接收器:\n');
@@ -491,6 +1118,16 @@ export default class DeviceBLE extends PluginBase {
       msg.push(`   采样数: ${rssiValues.length}\n\n`);
     }
     
+    const rejection = getRejectionStats(siteReceiverFilter(await loadReceiverRegistry(), target.site));
+    msg.push(`🚫 不合规上报（格式 v${rejection.version}，自启动起）:\n`);
+    msg.push(`   丢弃条目: ${rejection.rejected}/${rejection.entries}\n`);
+    msg.push(`   整批丢弃: ${rejection.rejectedBatches}/${rejection.batches}\n`);
+    for (const device of rejection.devices.slice(0, 5)) {
+      const reasons = Object.entries(device.reasons).map(([reason, count]) => `${reason}×${count}`).join(' ');
+      msg.push(`   ${data.devices[device.deviceId]?.name || device.deviceId}: ${reasons}\n`);
+    }
+    msg.push('\n');
+    
     msg.push('═══════════════════════════\n');
     const updateTime = new Date().toLocaleTimeString('zh-CN');
     msg.push(`⏰ 更新时间: ${updateTime}`);
@@ -498,17 +1135,254 @@ export default class DeviceBLE extends PluginBase {
     return true;
   }
 
+  /**
+   * #蓝牙录制 <名称> [分钟]：录制接收器上报；#蓝牙录制 停止：结束录制；#蓝牙录制：查看录制状态与已有录制
+   */
+  async recordTrace(e) {
+    if (!e.isMaster) {
+      await e.reply('仅主人可使用上报录制');
+      return true;
+    }
+    const [name, minutes] = e.msg.replace(/^#蓝牙录制\s*/, '').trim().split(/\s+/).filter(Boolean);
+    
+    if (!name) {
+      const status = getRecordingStatus();
+      const traces = await listTraces();
+      let msg = ['📼 蓝牙上报录制\n'];
+      msg.push('═══════════════════════════\n\n');
+      if (status) {
+        const left = Math.max(0, Math.ceil((status.until - Date.now()) / 1000));
+        msg.push(`🔴 录制中: ${status.name}（已录 ${status.events} 批，剩余 ${left}秒）\n\n`);
+      }
+      if (!traces.length) {
+        msg.push('暂无录制\n');
+      }
+      for (const trace of traces.slice(0, 10)) {
+        msg.push(`📄 ${trace.name}  ${(trace.size / 1024).toFixed(1)}KB  ${new Date(trace.modified).toLocaleString('zh-CN')}\n`);
+      }
+      msg.push('\n═══════════════════════════\n');
+      msg.push(`💡 #蓝牙录制 <名称> [分钟] 开始录制，#蓝牙录制 停止 结束；#蓝牙回放 <名称> [倍速] 回放`);
+      await e.reply(msg.join(''));
+      return true;
+    }
+    
+    if (name === '停止' || name === '结束') {
+      const status = await stopRecording();
+      await e.reply(status ? `✅ 已结束录制「${status.name}」，共 ${status.events} 批上报` : '当前没有进行中的录制');
+      return true;
+    }
+    
+    if (!isTraceName(name)) {
+      await e.reply('录制名称只能包含字母、数字、下划线、连字符或中文');
+      return true;
+    }
+    const duration = minutes && Number(minutes) > 0 ? Number(minutes) * 60 * 1000 : undefined;
+    const status = await startRecording(name, duration);
+    const total = Math.round((status.until - status.startedAt) / 60000);
+    await e.reply(`📼 开始录制「${name}」，${total} 分钟后自动结束\n#蓝牙录制 停止 可提前结束`);
+    return true;
+  }
+
+  /**
+   * #蓝牙回放 <名称> [倍速]：回放录制；#蓝牙回放 模拟 [信标数] [倍速] [@站点]：回放模拟场景（指定站点时只用该站点的接收器）；
+   * #蓝牙回放 停止：停止回放；#蓝牙回放：查看回放状态
+   */
+  async replayTrace(e) {
+    if (!e.isMaster) {
+      await e.reply('仅主人可使用上报回放');
+      return true;
+    }
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const args = target.msg.replace(/^#蓝牙回放\s*/, '').trim().split(/\s+/).filter(Boolean);
+    
+    if (!args.length) {
+      const status = getReplayStatus();
+      if (!status) {
+        await e.reply('当前没有进行中的回放\n💡 #蓝牙回放 <名称> [倍速] 或 #蓝牙回放 模拟 [信标数] [倍速]');
+        return true;
+      }
+      await e.reply(`▶️ 回放中: ${status.source}（${status.speed}倍速${status.loop ? '，循环' : ''}）\n进度: ${status.emitted}/${status.total} 批`);
+      return true;
+    }
+    
+    if (args[0] === '停止' || args[0] === '结束') {
+      const status = stopReplay();
+      await e.reply(status ? `⏹️ 已停止回放「${status.source}」，已发出 ${status.emitted}/${status.total} 批` : '当前没有进行中的回放');
+      return true;
+    }
+    
+    let events;
+    let source;
+    let speed;
+    if (args[0] === '模拟') {
+      const beacons = Math.min(Math.max(parseInt(args[1]) || 3, 1), 50);
+      events = await generateScenario({ beacons, site: target.explicit ? target.site : undefined });
+      source = `模拟场景（${beacons} 个信标）${target.tag}`;
+      speed = args[2];
+    } else {
+      if (!isTraceName(args[0])) {
+        await e.reply('录制名称只能包含字母、数字、下划线、连字符或中文');
+        return true;
+      }
+      events = await loadTrace(args[0]);
+      if (!events) {
+        await e.reply(`未找到录制「${args[0]}」，发送 #蓝牙录制 查看已有录制`);
+        return true;
+      }
+      source = args[0];
+      speed = args[1];
+    }
+    
+    const status = startReplay(events, {
+      source,
+      speed: Number(speed) || 1,
+      emit: (event) => AgentRuntime.emit('device.ble_beacon_batch', event)
+    });
+    if (!status) {
+      await e.reply(`「${source}」没有可回放的上报`);
+      return true;
+    }
+    const seconds = Math.round(status.duration / status.speed / 1000);
+    await e.reply(`▶️ 开始回放「${source}」，${status.total} 批上报，${status.speed}倍速约 ${seconds} 秒\n回放数据写入回放站点，发送 #蓝牙状态 @${REPLAY_SITE} 或打开导览页 ?site=${REPLAY_SITE} 查看\n#蓝牙回放 停止 可提前结束`);
+    return true;
+  }
+
+  /** 主人或 ble-config 中 resetAllowList 内的用户可重置 / 撤销重置 */
+  canResetBLEData(e) {
+    if (e.isMaster) return true;
+    const { resetAllowList = [] } = getBLEConfig();
+    return e.user_id != null && resetAllowList.map(String).includes(String(e.user_id));
+  }
+
+  /**
+   * #蓝牙重置 [@站点]：登记待确认；#蓝牙重置 确认 [@站点]：在有效期内确认后备份并清空该站点的数据
+   */
   async resetBLEData(e) {
-    await this.saveData({ devices: {}, beacons: {} });
-    await e.reply('✅ 蓝牙数据已重置');
+    if (!this.canResetBLEData(e)) {
+      await e.reply('仅主人或授权用户可重置蓝牙数据');
+      return true;
+    }
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const key = `${e.user_id ?? 'master'}|${target.site}`;
+    const { resetConfirmWindow } = getBLEConfig();
+    
+    if (!/确认$/.test(target.msg)) {
+      requestResetConfirmation(key, resetConfirmWindow);
+      const data = await this.loadData(target.site);
+      await e.reply(`⚠️ 将清空${target.tag || '全部'}蓝牙数据（${Object.keys(data.devices).length} 个接收器、${Object.keys(data.beacons).length} 个信标），重置前会自动备份\n请在 ${Math.round(resetConfirmWindow / 1000)} 秒内发送 #蓝牙重置 确认${target.arg}`);
+      return true;
+    }
+    
+    if (!consumeResetConfirmation(key)) {
+      await e.reply(`没有待确认的重置或已超时，请先发送 #蓝牙重置${target.arg}`);
+      return true;
+    }
+    const backup = await resetBLEStore({ by: String(e.user_id ?? ''), source: 'plugin', site: target.site });
+    logger.mark(`[蓝牙插件] ${e.user_id} 重置${target.site === DEFAULT_SITE ? '' : `站点 ${target.site} 的`}蓝牙数据，已备份 ${backup.devices} 个接收器、${backup.beacons} 个信标`);
+    await e.reply(`✅ ${target.tag}蓝牙数据已重置\n💡 发送 #蓝牙撤销重置${target.arg} 可恢复重置前的数据`);
+    return true;
+  }
+
+  /**
+   * #蓝牙撤销重置：用最近一次重置前的备份替换当前数据
+   */
+  async undoResetBLEData(e) {
+    if (!this.canResetBLEData(e)) {
+      await e.reply('仅主人或授权用户可撤销重置');
+      return true;
+    }
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const restored = await undoReset(target.site);
+    if (!restored) {
+      await e.reply(`${target.tag}没有可撤销的重置`);
+      return true;
+    }
+    logger.mark(`[蓝牙插件] ${e.user_id} 撤销了 ${new Date(restored.time).toLocaleString('zh-CN')} 的重置`);
+    await e.reply(`✅ ${target.tag}已恢复 ${new Date(restored.time).toLocaleString('zh-CN')} 重置前的数据（${restored.devices} 个接收器、${restored.beacons} 个信标）\n重置之后收到的上报已被覆盖`);
+    return true;
+  }
+
+  /**
+   * #蓝牙备份 [备注] [@站点]：立即备份当前数据
+   */
+  async createBLEBackup(e) {
+    if (!this.canResetBLEData(e)) {
+      await e.reply('仅主人或授权用户可备份蓝牙数据');
+      return true;
+    }
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const note = target.msg.replace(/^#蓝牙备份\s*/, '').trim() || null;
+    const backup = await backupBLEData({ type: 'manual', note, site: target.site });
+    await e.reply(`✅ ${target.tag}已备份: ${backup.id}\n${backup.devices} 个接收器、${backup.beacons} 个信标${note ? `\n备注: ${note}` : ''}\n💡 #蓝牙恢复 ${backup.id}${target.arg} 可恢复到此时`);
+    return true;
+  }
+
+  /**
+   * #蓝牙备份列表：最近的备份（手动 / 自动 / 恢复前）
+   */
+  async listBLEBackups(e) {
+    if (!this.canResetBLEData(e)) {
+      await e.reply('仅主人或授权用户可查看备份');
+      return true;
+    }
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const backups = await listBackups(undefined, target.site);
+    if (!backups.length) {
+      await e.reply(`${target.tag}暂无备份\n💡 #蓝牙备份 [备注]${target.arg} 立即备份，插件每 ${Math.round(AUTO_BACKUP_INTERVAL / 60000)} 分钟自动备份`);
+      return true;
+    }
+    const typeText = { auto: '自动', manual: '手动', 'pre-restore': '恢复前' };
+    let msg = [`💾 蓝牙数据备份${target.tag}\n`];
+    msg.push('═══════════════════════════\n\n');
+    for (const backup of backups.slice(0, 15)) {
+      msg.push(`${backup.id}\n  ${typeText[backup.type]} · ${new Date(backup.time).toLocaleString('zh-CN')} · ${(backup.size / 1024).toFixed(1)}KB\n`);
+    }
+    if (backups.length > 15) {
+      msg.push(`\n... 共 ${backups.length} 份，仅显示最近 15 份\n`);
+    }
+    msg.push('\n═══════════════════════════\n');
+    msg.push(`💡 #蓝牙恢复 <备份ID>${target.arg} 恢复`);
+    await e.reply(msg.join(''));
+    return true;
+  }
+
+  /**
+   * #蓝牙恢复 <备份ID> [@站点]：用备份替换当前数据（替换前自动保存当前数据）
+   */
+  async restoreBLEData(e) {
+    if (!this.canResetBLEData(e)) {
+      await e.reply('仅主人或授权用户可恢复蓝牙数据');
+      return true;
+    }
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const id = target.msg.replace(/^#蓝牙恢复\s*/, '').trim();
+    if (!id) {
+      await e.reply(`请指定备份ID，发送 #蓝牙备份列表${target.arg} 查看`);
+      return true;
+    }
+    const restored = await restoreBLEBackup(id, target.site);
+    if (!restored) {
+      await e.reply(`${target.tag}未找到备份 ${id} 或备份已损坏，发送 #蓝牙备份列表${target.arg} 查看`);
+      return true;
+    }
+    logger.mark(`[蓝牙插件] ${e.user_id} 从${target.site === DEFAULT_SITE ? '' : `站点 ${target.site} 的`}备份 ${id} 恢复蓝牙数据`);
+    await e.reply(`✅ ${target.tag}已恢复到 ${new Date(restored.time).toLocaleString('zh-CN')} 的备份（${restored.devices} 个接收器、${restored.beacons} 个信标）\n恢复前的数据已保存为 ${restored.previous}`);
     return true;
   }
 
   async exportJSON(e) {
-    const data = await this.loadData();
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const data = await this.loadData(target.site);
     if ((!data.devices || !Object.keys(data.devices).length) &&
         (!data.beacons || !Object.keys(data.beacons).length)) {
-      await e.reply('暂无数据');
+      await e.reply(`${target.tag}暂无数据`);
       return true;
     }
     
@@ -526,6 +1400,7 @@ export default class DeviceBLE extends PluginBase {
         simplified.beacons[mac].detections[deviceId] = {
           receiver: detection.receiver_name,
           rssi: detection.rssi,
+          rssi_raw: detection.rssi_raw,
           online: detection.online,
           last_update: new Date(detection.update_time).toLocaleString('zh-CN')
         };
@@ -535,7 +1410,7 @@ export default class DeviceBLE extends PluginBase {
     const jsonStr = JSON.stringify(simplified, null, 2);
     
     if (jsonStr.length > 3000) {
-      const truncated = jsonStr.substring(0, 2900) + '\n... (数据过长已截断)';
+      const truncated = jsonStr.substring(0, 2900) + '\n... (数据过长已截断，完整数据请用 #蓝牙导出)';
       await e.reply(`\`\`\`json\n${truncated}\n\`\`\``);
     } else {
       await e.reply(`\`\`\`json\n${jsonStr}\n\`\`\``);
@@ -543,43 +1418,119 @@ export default class DeviceBLE extends PluginBase {
     return true;
   }
 
-  async autoClearOldData() {
-    const data = await this.loadData();
+  /**
+   * #蓝牙导出 [csv|ndjson] [小时] [@站点]：导出最近若干小时（默认 24）的检测明细，以文件发送
+   */
+  async exportFile(e) {
+    const target = await this.parseSite(e);
+    if (!target) return true;
+    const args = target.msg.replace(/^#蓝牙导出\s*/, '').trim().split(/\s+/).filter(Boolean);
+    const format = args.find(arg => /^(csv|ndjson)$/i.test(arg))?.toLowerCase() || 'csv';
+    const hours = Number(args.find(arg => /^\d+(\.\d+)?$/.test(arg))) || 24;
+    const to = Date.now();
+    
+    const { file, name, count, coverage } = await createExportFile(format, { from: to - hours * 60 * 60 * 1000, to, site: target.site });
+    if (!count) {
+      await fs.unlink(file).catch(() => {});
+      await e.reply(`${target.tag}最近 ${hours} 小时暂无检测数据`);
+      return true;
+    }
     
+    try {
+      await e.reply(segment.file(file, name));
+      let notice = '';
+      if (!coverage.complete) {
+        const since = coverage.sampledFrom ? `${new Date(coverage.sampledFrom).toLocaleString('zh-CN')} 之前` : '该时段';
+        notice = `\n⚠️ 逐次采样只保存在内存（重启后清空），${since}只有归档中每个信标 × 接收器清理前的最后状态，行数远少于实际上报`;
+      }
+      await e.reply(`📤 ${target.tag}已导出最近 ${hours} 小时的检测明细，共 ${count} 行（${format.toUpperCase()}）${notice}`);
+    } catch (err) {
+      logger.error(`[蓝牙插件] 发送导出文件失败: ${err.message}`);
+      await e.reply(`发送文件失败，请通过 GET /api/ble/export?format=${format}&from=${to - hours * 60 * 60 * 1000}&to=${to}${target.explicit ? `&site=${target.site}` : ''} 下载`);
+    }
+    return true;
+  }
+
+  async autoClearOldData() {
+    const { retention } = getBLEConfig();
     const now = Date.now();
-    const halfHour = 30 * 60 * 1000;
+    for (const site of await listSiteIds()) {
+      await this.clearSiteOldData(site, now);
+    }
     
+    const pruned = pruneRssiHistory(now - retention);
+    if (pruned > 0) {
+      logger.mark(`[蓝牙插件] 自动清理 ${pruned} 条过期RSSI采样`);
+    }
+  }
+
+  /**
+   * 归档并清理一个站点的过期数据，再删除该站点超过保留天数的归档与会话文件
+   */
+  async clearSiteOldData(site, now) {
+    const { retention, archiveRetentionDays, sessionRetentionDays } = getBLEConfig();
+    const label = site === DEFAULT_SITE ? '' : `站点 ${site} `;
     let cleaned = 0;
     
-    for (const deviceId in data.devices) {
-      if (now - data.devices[deviceId].update > halfHour) {
-        delete data.devices[deviceId];
-        cleaned++;
+    // 先归档再清理，归档写入失败时本轮不清理，避免数据丢失
+    const expired = collectExpired(await getBLEData(site), now - retention, now);
+    if (expired.length > 0) {
+      try {
+        await appendArchive(expired, site);
+      } catch (err) {
+        logger.error(`[蓝牙插件] ${label}归档过期数据失败，跳过本轮清理: ${err.message}`);
+        return;
       }
     }
     
-    for (const mac in data.beacons) {
-      const beacon = data.beacons[mac];
-      let hasRecentDetection = false;
-      
-      for (const deviceId in beacon.detections) {
-        if (now - beacon.detections[deviceId].update_time > halfHour) {
-          delete beacon.detections[deviceId];
+    await updateBLEData((data) => {
+      for (const deviceId in data.devices) {
+        if (now - data.devices[deviceId].update > retention) {
+          delete data.devices[deviceId];
           cleaned++;
-        } else {
-          hasRecentDetection = true;
         }
       }
       
-      if (!hasRecentDetection) {
-        delete data.beacons[mac];
-        cleaned++;
+      for (const mac in data.beacons) {
+        const beacon = data.beacons[mac];
+        let hasRecentDetection = false;
+        
+        for (const deviceId in beacon.detections) {
+          if (now - beacon.detections[deviceId].update_time > retention) {
+            delete beacon.detections[deviceId];
+            cleaned++;
+          } else {
+            hasRecentDetection = true;
+          }
+        }
+        
+        if (!hasRecentDetection) {
+          delete data.beacons[mac];
+          cleaned++;
+        }
       }
-    }
+      
+      return cleaned > 0 ? data : false;
+    }, site);
     
     if (cleaned > 0) {
-      await this.saveData(data);
-      logger.mark(`[蓝牙插件] 自动清理 ${cleaned} 条过期数据`);
+      logger.mark(`[蓝牙插件] ${label}自动清理 ${cleaned} 条过期数据，归档 ${expired.length} 条`);
+    }
+    
+    const removed = await pruneArchives(archiveRetentionDays, now, site).catch((err) => {
+      logger.error(`[蓝牙插件] ${label}清理过期归档失败: ${err.message}`);
+      return 0;
+    });
+    if (removed > 0) {
+      logger.mark(`[蓝牙插件] ${label}删除 ${removed} 个超过 ${archiveRetentionDays} 天的归档文件`);
+    }
+    
+    const removedSessions = await pruneSessions(sessionRetentionDays, now, site).catch((err) => {
+      logger.error(`[蓝牙插件] ${label}清理过期会话文件失败: ${err.message}`);
+      return 0;
+    });
+    if (removedSessions > 0) {
+      logger.mark(`[蓝牙插件] ${label}删除 ${removedSessions} 个超过 ${sessionRetentionDays} 天的会话文件`);
     }
   }
 }
\ No newline at end of file
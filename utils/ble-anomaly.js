@@ -0,0 +1,282 @@
+/**
+ * IM-SYAU-Core 蓝牙异常检测
+ * 在每轮扫描提交后检查：同名不同 MAC（仿冒或重复烧录）、最强接收器在不相邻的接收器间瞬间跳变、
+ * RSSI 突变、短时间内大量未登记 MAC。相邻关系取接收器注册表的 neighbors，未配置时按 location 距离估算行走速度。
+ * 同一异常在冷却期内只记一次（累计次数），结果保留在内存中。各站点分别检测，记录带 site
+ */
+import { resolveBeaconInfo } from './ble-beacons.js';
+import { getValidReceivers } from './ble-utils.js';
+import { getBLEConfig } from './ble-config.js';
+import { DEFAULT_SITE } from './ble-sites.js';
+
+/** 异常类型 */
+export const ANOMALY_TYPES = ['duplicate_name', 'impossible_transition', 'rssi_spike', 'unknown_flood'];
+
+/** 同一异常的冷却期（毫秒），期间重复出现只累计次数、不再告警 */
+export const ANOMALY_COOLDOWN = 10 * 60 * 1000;
+
+/** 最多保留的异常条数 */
+export const MAX_ANOMALIES = 500;
+
+/** 同名检测窗口：该时间内以同一名称出现的不同 MAC 视为冲突 */
+export const DUPLICATE_NAME_WINDOW = 10 * 60 * 1000;
+
+/** 最强接收器切换到不相邻接收器的最短合理间隔（毫秒） */
+export const TRANSITION_WINDOW = 5000;
+
+/** 未配置 neighbors 时按 location 估算的最大行走速度（米/秒） */
+export const MAX_WALK_SPEED = 3;
+
+/** RSSI 突变：偏离近期中位数超过 max(该值, 5 × MAD) 视为突变（dB） */
+export const RSSI_SPIKE_DB = 20;
+
+/** 判定 RSSI 突变所需的最少近期采样 / 保留的近期采样数 */
+const SPIKE_MIN_SAMPLES = 8;
+const SPIKE_WINDOW_SIZE = 20;
+
+/** 未登记 MAC 涌入：UNKNOWN_FLOOD_WINDOW 内新出现的未登记 MAC 达到该数量 */
+export const UNKNOWN_FLOOD_THRESHOLD = 20;
+export const UNKNOWN_FLOOD_WINDOW = 60 * 1000;
+
+/** 未登记 MAC 的追踪时长，超过后再次出现重新计为新 MAC */
+const UNKNOWN_MAC_TTL = 10 * 60 * 1000;
+
+const anomalies = [];
+/** 异常 key -> 记录，用于冷却期内合并 */
+const recent = new Map();
+let nextId = 1;
+
+/** `${site}|${name}` -> Map<mac, lastSeen> */
+const nameIndex = new Map();
+/** `${site}|${mac}` -> { deviceId, time } 当前最强接收器及其最近一次为最强的时间 */
+const strongest = new Map();
+/** `${mac}|${deviceId}` -> { values: number[], time } */
+const rssiWindows = new Map();
+/** `${site}|${mac}`（未登记 MAC）-> { site, time } 首次出现时间 */
+const unknownMacs = new Map();
+
+function record(key, anomaly, now) {
+  const existing = recent.get(key);
+  if (existing && now - existing.time < ANOMALY_COOLDOWN) {
+    existing.count++;
+    existing.lastTime = now;
+    existing.details = anomaly.details;
+    return null;
+  }
+  const item = { id: nextId++, ...anomaly, time: now, lastTime: now, count: 1 };
+  recent.set(key, item);
+  anomalies.push(item);
+  if (anomalies.length > MAX_ANOMALIES) anomalies.splice(0, anomalies.length - MAX_ANOMALIES);
+  for (const [k, v] of recent) {
+    if (now - v.time >= ANOMALY_COOLDOWN) recent.delete(k);
+  }
+  return item;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * 两个接收器是否可能在 elapsed 毫秒内先后成为最强接收器
+ * @returns {boolean|null} 无法判断（未配置 neighbors 且缺少同层坐标）时返回 null
+ */
+function isReachable(registry, from, to, elapsed) {
+  const a = registry[from];
+  const b = registry[to];
+  if (Array.isArray(a?.neighbors) || Array.isArray(b?.neighbors)) {
+    return !!(a?.neighbors?.includes(to) || b?.neighbors?.includes(from));
+  }
+  const p = a?.location;
+  const q = b?.location;
+  if (![p?.x, p?.y, q?.x, q?.y].every(Number.isFinite)) return null;
+  if ((p.floor ?? null) !== (q.floor ?? null)) return null;
+  const distance = Math.hypot(p.x - q.x, p.y - q.y);
+  return distance <= MAX_WALK_SPEED * Math.max(elapsed, 1000) / 1000;
+}
+
+/**
+ * 检查一轮扫描（在数据入库后调用）
+ * @param {Object} scan
+ * @param {string} scan.deviceId
+ * @param {string} [scan.site=DEFAULT_SITE] - 接收器所属站点
+ * @param {Array<{ mac: string, name?: string, rssi: number }>} scan.beacons - 本轮上报的信标（已规范化，原始 RSSI）
+ * @param {Object} scan.data - 入库后的蓝牙数据（该站点）
+ * @param {Object} scan.receivers - 接收器注册表
+ * @param {Object} scan.beaconRegistry - 信标注册表
+ * @param {number} [now=Date.now()]
+ * @returns {Array<Object>} 本轮新记录的异常（冷却期内重复的不返回）
+ */
+export function detectScanAnomalies({ deviceId, site = DEFAULT_SITE, beacons, data, receivers, beaconRegistry }, now = Date.now()) {
+  const found = [];
+  const push = (key, anomaly) => {
+    const item = record(`${site}|${key}`, { ...anomaly, site }, now);
+    if (item) found.push(item);
+  };
+  const { staleThreshold } = getBLEConfig();
+
+  for (const beacon of beacons) {
+    const { mac, name } = beacon;
+    if (!mac) continue;
+
+    // 同名不同 MAC
+    if (name) {
+      const nameKey = `${site}|${name}`;
+      if (!nameIndex.has(nameKey)) nameIndex.set(nameKey, new Map());
+      const macs = nameIndex.get(nameKey);
+      macs.set(mac, now);
+      for (const [other, time] of macs) {
+        if (now - time > DUPLICATE_NAME_WINDOW) macs.delete(other);
+      }
+      if (macs.size > 1) {
+        const list = [...macs.keys()].sort();
+        push(`duplicate_name|${name}|${list.join(',')}`, {
+          type: 'duplicate_name',
+          name,
+          mac,
+          deviceId,
+          message: `名称 ${name} 同时出现在 ${list.length} 个 MAC 上: ${list.join('、')}`,
+          details: { macs: list }
+        });
+      }
+    }
+
+    // RSSI 突变：与该接收器上的近期采样比较
+    const raw = beacon.rssi;
+    if (Number.isFinite(raw)) {
+      const key = `${mac}|${deviceId}`;
+      let window = rssiWindows.get(key);
+      if (!window || now - window.time > staleThreshold) {
+        window = { values: [], time: now };
+        rssiWindows.set(key, window);
+      }
+      if (window.values.length >= SPIKE_MIN_SAMPLES) {
+        const center = median(window.values);
+        const mad = median(window.values.map(v => Math.abs(v - center)));
+        const deviation = raw - center;
+        if (Math.abs(deviation) > Math.max(RSSI_SPIKE_DB, 5 * mad)) {
+          const beaconName = name || data.beacons[mac]?.name || null;
+          push(`rssi_spike|${key}`, {
+            type: 'rssi_spike',
+            name: beaconName,
+            mac,
+            deviceId,
+            message: `${beaconName || mac} 在 ${receivers[deviceId]?.name || deviceId} 的 RSSI 突变为 ${raw}dBm（近期中位 ${center}dBm）`,
+            details: { rssi: raw, median: center, mad, deviation }
+          });
+        }
+      }
+      window.values.push(raw);
+      if (window.values.length > SPIKE_WINDOW_SIZE) window.values.shift();
+      window.time = now;
+    }
+
+    // 未登记 MAC
+    const info = resolveBeaconInfo(beaconRegistry, mac, name || data.beacons[mac]?.name);
+    if (!info.registered && !info.role && !unknownMacs.has(`${site}|${mac}`)) unknownMacs.set(`${site}|${mac}`, { site, time: now });
+  }
+
+  // 最强接收器跳变：只看本轮涉及的信标
+  for (const beacon of beacons) {
+    const beaconData = data.beacons[beacon.mac];
+    if (!beaconData) continue;
+    const top = getValidReceivers(beaconData, now)[0];
+    if (!top) continue;
+    const strongestKey = `${site}|${beacon.mac}`;
+    const previous = strongest.get(strongestKey);
+    if (!previous || previous.deviceId === top.deviceId || now - previous.time > staleThreshold) {
+      strongest.set(strongestKey, { deviceId: top.deviceId, time: now });
+      continue;
+    }
+    const elapsed = now - previous.time;
+    if (elapsed <= TRANSITION_WINDOW && isReachable(receivers, previous.deviceId, top.deviceId, elapsed) === false) {
+      const from = receivers[previous.deviceId]?.name || previous.deviceId;
+      const to = receivers[top.deviceId]?.name || top.deviceId;
+      push(`impossible_transition|${beacon.mac}|${previous.deviceId}|${top.deviceId}`, {
+        type: 'impossible_transition',
+        name: beaconData.name || null,
+        mac: beacon.mac,
+        deviceId: top.deviceId,
+        message: `${beaconData.name || beacon.mac} 在 ${Math.round(elapsed / 100) / 10} 秒内从 ${from} 跳到不相邻的 ${to}`,
+        details: { from: previous.deviceId, to: top.deviceId, elapsed }
+      });
+    }
+    strongest.set(strongestKey, { deviceId: top.deviceId, time: now });
+  }
+
+  // 未登记 MAC 涌入
+  for (const [key, item] of unknownMacs) {
+    if (now - item.time > UNKNOWN_MAC_TTL) unknownMacs.delete(key);
+  }
+  const fresh = [...unknownMacs.values()].filter(item => item.site === site && now - item.time <= UNKNOWN_FLOOD_WINDOW).length;
+  if (fresh >= UNKNOWN_FLOOD_THRESHOLD) {
+    push('unknown_flood', {
+      type: 'unknown_flood',
+      name: null,
+      mac: null,
+      deviceId,
+      message: `${Math.round(UNKNOWN_FLOOD_WINDOW / 1000)} 秒内出现 ${fresh} 个未登记的 MAC（最近一次由 ${receivers[deviceId]?.name || deviceId} 上报）`,
+      details: { count: fresh, window: UNKNOWN_FLOOD_WINDOW }
+    });
+  }
+
+  return found;
+}
+
+/**
+ * 查询异常记录
+ * @param {{ type?: string, since?: number, mac?: string, site?: string, limit?: number }} [options] - 不指定 site 时返回全部站点
+ * @returns {Array<Object>} 最新的在前
+ */
+export function getAnomalies({ type, since = 0, mac, site, limit = 100 } = {}) {
+  return anomalies
+    .filter(a => (!type || a.type === type) && a.lastTime >= since && (!site || a.site === site) &&
+      (!mac || a.mac === mac || a.details?.macs?.includes(mac)))
+    .slice(-limit)
+    .reverse();
+}
+
+/**
+ * 按类型统计异常条数
+ * @param {number} [since=0]
+ * @param {string} [site] - 不指定时统计全部站点
+ * @returns {Object<string, number>}
+ */
+export function summarizeAnomalies(since = 0, site) {
+  const summary = Object.fromEntries(ANOMALY_TYPES.map(type => [type, 0]));
+  for (const a of anomalies) {
+    if (a.lastTime >= since && (!site || a.site === site)) summary[a.type]++;
+  }
+  return summary;
+}
+
+/**
+ * 清空异常记录与检测状态（蓝牙数据重置时调用）
+ * @param {string} [site] - 只清空该站点，默认全部
+ * @param {(deviceId: string) => boolean} [receiverFilter] - 该站点的接收器，用于清理按接收器保存的 RSSI 窗口
+ */
+export function clearAnomalies(site, receiverFilter) {
+  if (!site) {
+    anomalies.length = 0;
+    recent.clear();
+    nameIndex.clear();
+    strongest.clear();
+    rssiWindows.clear();
+    unknownMacs.clear();
+    return;
+  }
+  const prefix = `${site}|`;
+  for (let i = anomalies.length - 1; i >= 0; i--) {
+    if (anomalies[i].site === site) anomalies.splice(i, 1);
+  }
+  for (const map of [recent, nameIndex, strongest, unknownMacs]) {
+    for (const key of [...map.keys()]) {
+      if (key.startsWith(prefix)) map.delete(key);
+    }
+  }
+  for (const key of [...rssiWindows.keys()]) {
+    if (!receiverFilter || receiverFilter(key.slice(key.indexOf('|') + 1))) rssiWindows.delete(key);
+  }
+}
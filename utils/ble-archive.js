@@ -0,0 +1,180 @@
+/**
+ * IM-SYAU-Core 蓝牙数据归档
+ * 定时清理前，把过期的接收器、检测与信标按最后更新日期追加到站点目录下的 archive/YYYY-MM-DD.ndjson（每行一个 JSON，
+ * 默认站点为 data/blues/archive/），归档保留天数见 ble-config 的 archiveRetentionDays
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { BLE_DATA_DIR } from './ble-store.js';
+import { dayKey } from './ble-visitor-stats.js';
+import { DEFAULT_SITE, getSiteBLEDir } from './ble-sites.js';
+
+/** 默认站点的归档目录 */
+export const ARCHIVE_DIR = path.join(BLE_DATA_DIR, 'archive');
+
+/**
+ * 站点的归档目录
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {string}
+ */
+export function getArchiveDir(site = DEFAULT_SITE) {
+  return path.join(getSiteBLEDir(site), 'archive');
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let appendQueue = Promise.resolve();
+
+/**
+ * 是否为合法的归档日期（YYYY-MM-DD）
+ * @param {string} date
+ * @returns {boolean}
+ */
+export function isArchiveDate(date) {
+  return typeof date === 'string' && DATE_PATTERN.test(date) && !Number.isNaN(Date.parse(date));
+}
+
+/**
+ * 收集过期数据对应的归档记录（不修改 data）
+ * @param {{ devices: Object, beacons: Object }} data
+ * @param {number} before - 最后更新早于该时间的视为过期
+ * @param {number} [now=Date.now()]
+ * @returns {Array<Object>} type 为 device / detection / beacon；beacon 表示该信标已无未过期检测、将被整体移除
+ */
+export function collectExpired(data, before, now = Date.now()) {
+  const records = [];
+  for (const [deviceId, device] of Object.entries(data.devices || {})) {
+    if ((device.update || 0) < before) {
+      records.push({ type: 'device', deviceId, ...device, time: device.update || 0, archived_at: now });
+    }
+  }
+  for (const [mac, beacon] of Object.entries(data.beacons || {})) {
+    let lastUpdate = 0;
+    let hasRecentDetection = false;
+    for (const [deviceId, detection] of Object.entries(beacon.detections || {})) {
+      const updateTime = detection.update_time || 0;
+      lastUpdate = Math.max(lastUpdate, updateTime);
+      if (updateTime >= before) {
+        hasRecentDetection = true;
+        continue;
+      }
+      const { rssi_filter, ...fields } = detection;
+      records.push({
+        type: 'detection',
+        mac,
+        beaconName: beacon.name,
+        deviceId,
+        ...fields,
+        time: updateTime,
+        archived_at: now
+      });
+    }
+    if (!hasRecentDetection) {
+      records.push({
+        type: 'beacon',
+        mac,
+        name: beacon.name,
+        first_seen: beacon.first_seen,
+        time: lastUpdate || beacon.first_seen || now,
+        archived_at: now
+      });
+    }
+  }
+  return records;
+}
+
+/**
+ * 按记录的 time 所在日期追加到对应归档文件（串行执行）
+ * @param {Array<Object>} records
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<number>} 写入条数
+ */
+export function appendArchive(records, site = DEFAULT_SITE) {
+  const dir = getArchiveDir(site);
+  const byDay = new Map();
+  for (const record of records) {
+    const key = dayKey(record.time || record.archived_at);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(JSON.stringify(record));
+  }
+  const run = appendQueue.then(async () => {
+    await fs.mkdir(dir, { recursive: true });
+    for (const [key, lines] of byDay) {
+      await fs.appendFile(path.join(dir, `${key}.ndjson`), lines.join('\n') + '\n');
+    }
+    return records.length;
+  });
+  appendQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * 列出归档文件
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<Array<{ date: string, size: number }>>} 按日期升序
+ */
+export async function listArchives(site = DEFAULT_SITE) {
+  const dir = getArchiveDir(site);
+  let files = [];
+  try {
+    files = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+  const list = [];
+  for (const file of files) {
+    const date = file.replace(/\.ndjson$/, '');
+    if (!file.endsWith('.ndjson') || !isArchiveDate(date)) continue;
+    const stat = await fs.stat(path.join(dir, file)).catch(() => null);
+    if (stat) list.push({ date, size: stat.size });
+  }
+  return list.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 读取某天的归档
+ * @param {string} date - YYYY-MM-DD
+ * @param {{ type?: string, beacon?: string, receiver?: string, site?: string }} [filter] - beacon 匹配 MAC 或名称；site 默认为默认站点
+ * @returns {Promise<Array<Object>|null>} 该日无归档时返回 null
+ */
+export async function readArchive(date, { type, beacon, receiver, site = DEFAULT_SITE } = {}) {
+  await appendQueue;
+  let content;
+  try {
+    content = await fs.readFile(path.join(getArchiveDir(site), `${date}.ndjson`), 'utf-8');
+  } catch {
+    return null;
+  }
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {}
+  }
+  return records
+    .filter(r => !type || r.type === type)
+    .filter(r => !beacon || r.mac === beacon || r.beaconName === beacon || r.name === beacon)
+    .filter(r => !receiver || r.deviceId === receiver);
+}
+
+/**
+ * 删除超过保留天数的归档
+ * @param {number} retentionDays
+ * @param {number} [now=Date.now()]
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<number>} 删除的文件数
+ */
+export async function pruneArchives(retentionDays, now = Date.now(), site = DEFAULT_SITE) {
+  const cutoff = new Date(now);
+  cutoff.setHours(0, 0, 0, 0);
+  cutoff.setDate(cutoff.getDate() - retentionDays);
+  const cutoffKey = dayKey(cutoff);
+  let removed = 0;
+  for (const { date } of await listArchives(site)) {
+    if (date >= cutoffKey) continue;
+    await fs.unlink(path.join(getArchiveDir(site), `${date}.ndjson`)).catch(() => {});
+    removed++;
+  }
+  return removed;
+}
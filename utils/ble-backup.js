@@ -0,0 +1,161 @@
+/**
+ * IM-SYAU-Core 蓝牙数据备份文件
+ * 带时间戳的 ble_data.json 副本保存在 data/blues/backups/<id>.json（其他站点在各自数据目录下），自动备份与手动备份分别轮换保留；
+ * ble_data.json 解析失败时由 ble-store 从该站点最近的有效备份恢复。
+ * 本模块只做文件读写（ble-store 依赖本模块，故不反向引用 ble-store），取数与恢复见 ble-reset
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_SITE, getSiteBLEDir } from './ble-sites.js';
+
+/** 默认站点的备份目录 */
+export const BACKUP_DIR = path.join(getSiteBLEDir(DEFAULT_SITE), 'backups');
+
+const backupDir = (site = DEFAULT_SITE) => path.join(getSiteBLEDir(site), 'backups');
+
+/** 自动备份间隔（毫秒） */
+export const AUTO_BACKUP_INTERVAL = 10 * 60 * 1000;
+
+/** 各类备份的保留数量，超出删除最旧的；pre-restore 为恢复前自动保存的当前数据 */
+export const BACKUP_LIMITS = { auto: 36, manual: 20, 'pre-restore': 5 };
+
+const ID_PATTERN = /^(\d{17})-(auto|manual|pre-restore)$/;
+
+/**
+ * 是否为合法的备份ID
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isBackupId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * 是否为结构完整的蓝牙数据
+ * @param {*} data
+ * @returns {boolean}
+ */
+export function isValidBLEData(data) {
+  const isObject = (value) => value != null && typeof value === 'object' && !Array.isArray(value);
+  return isObject(data) && isObject(data.devices) && isObject(data.beacons);
+}
+
+function createId(time, type) {
+  const d = new Date(time);
+  const pad = (n, len = 2) => String(n).padStart(len, '0');
+  const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}` +
+    `${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}${pad(d.getMilliseconds(), 3)}`;
+  return `${stamp}-${type}`;
+}
+
+function parseId(id) {
+  const [, stamp, type] = id.match(ID_PATTERN);
+  const n = (start, len) => Number(stamp.slice(start, start + len));
+  const time = new Date(n(0, 4), n(4, 2) - 1, n(6, 2), n(8, 2), n(10, 2), n(12, 2), n(14, 3)).getTime();
+  return { time, type };
+}
+
+/**
+ * 列出备份
+ * @param {string} [type] - 只列出某类
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<Array<{ id: string, time: number, type: string, size: number }>>} 最新的在前
+ */
+export async function listBackups(type, site = DEFAULT_SITE) {
+  const dir = backupDir(site);
+  let files = [];
+  try {
+    files = await fs.readdir(dir);
+  } catch {
+    return [];
+  }
+  const list = [];
+  for (const file of files) {
+    const id = file.replace(/\.json$/, '');
+    if (!file.endsWith('.json') || !isBackupId(id)) continue;
+    const info = parseId(id);
+    if (type && info.type !== type) continue;
+    const stat = await fs.stat(path.join(dir, file)).catch(() => null);
+    if (stat) list.push({ id, ...info, size: stat.size });
+  }
+  return list.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * 写入一份备份并轮换同类旧备份（临时文件 + rename）
+ * @param {Object} data - 蓝牙数据
+ * @param {{ type?: 'auto'|'manual'|'pre-restore', note?: string, site?: string }} [options]
+ * @returns {Promise<{ id: string, time: number, type: string, note: string|null, devices: number, beacons: number }>}
+ */
+export async function saveBackup(data, { type = 'manual', note = null, site = DEFAULT_SITE } = {}) {
+  const time = Date.now();
+  const id = createId(time, type);
+  const dir = backupDir(site);
+  const file = path.join(dir, `${id}.json`);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await fs.mkdir(dir, { recursive: true });
+  try {
+    await fs.writeFile(tmpFile, JSON.stringify({ id, time, type, note, data }));
+    await fs.rename(tmpFile, file);
+  } catch (err) {
+    await fs.unlink(tmpFile).catch(() => {});
+    throw err;
+  }
+  const stale = (await listBackups(type, site)).slice(BACKUP_LIMITS[type] ?? BACKUP_LIMITS.manual);
+  for (const backup of stale) {
+    await fs.unlink(path.join(dir, `${backup.id}.json`)).catch(() => {});
+  }
+  return {
+    id,
+    time,
+    type,
+    note,
+    devices: Object.keys(data.devices || {}).length,
+    beacons: Object.keys(data.beacons || {}).length
+  };
+}
+
+/**
+ * 读取备份
+ * @param {string} id
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<{ id: string, time: number, type: string, note: string|null, data: Object }|null>} 不存在或已损坏时返回 null
+ */
+export async function loadBackup(id, site = DEFAULT_SITE) {
+  if (!isBackupId(id)) return null;
+  try {
+    const backup = JSON.parse(await fs.readFile(path.join(backupDir(site), `${id}.json`), 'utf-8'));
+    return isValidBLEData(backup?.data) ? { ...parseId(id), note: null, ...backup, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 删除备份
+ * @param {string} id
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<boolean>}
+ */
+export async function removeBackup(id, site = DEFAULT_SITE) {
+  if (!isBackupId(id)) return false;
+  try {
+    await fs.unlink(path.join(backupDir(site), `${id}.json`));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 最近一份可用的备份（跳过损坏的文件）
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<Object|null>} 同 loadBackup
+ */
+export async function findLatestValidBackup(site = DEFAULT_SITE) {
+  for (const { id } of await listBackups(undefined, site)) {
+    const backup = await loadBackup(id, site);
+    if (backup) return backup;
+  }
+  return null;
+}
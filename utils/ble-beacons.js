@@ -0,0 +1,274 @@
+/**
+ * IM-SYAU-Core 信标注册表（data/beacons.json 为随仓库分发的默认值，data/beacons.local.json 为本地修改）
+ * MAC -> { name, role, hidden, tags, aliases }，role 为 visitor（导览）/ staff（工作人员）/ asset（资产）/ test（测试），
+ * aliases 为查找信标时可用的别名。未登记的信标沿用旧约定：名称 ESP-C3-* 视为导览信标，其余角色为空。
+ * 插件与 API 按名称 / MAC / 别名查找信标统一走 resolveBeacon
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { updateJsonFile, applyOverrides, diffOverrides } from './ble-store.js';
+import { getValidReceivers, getBeaconDisplayName, isVisitorBeacon } from './ble-utils.js';
+import { normalizeMac } from './ble-schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** 注册表默认值文件路径（纳入版本库，运行时不写入） */
+export const BEACON_REGISTRY_PATH = path.join(__dirname, '..', 'data', 'beacons.json');
+
+/** 本地注册表文件路径（不纳入版本库）：经 API 修改的信标整条保存，删除的默认信标记为 null */
+export const BEACON_REGISTRY_LOCAL_PATH = path.join(__dirname, '..', 'data', 'beacons.local.json');
+
+/** 信标角色 */
+export const BEACON_ROLES = ['visitor', 'staff', 'asset', 'test'];
+
+let registryCache = null;
+let registryStamp = '';
+
+/** 注册表键：MAC 统一为大写冒号分隔（无法识别的格式仅转大写） */
+const macKey = (mac) => normalizeMac(mac) || String(mac || '').trim().toUpperCase();
+
+/** 读取注册表文件并规范化 MAC 键，不存在时为空表；解析失败时抛出（读取方沿用缓存） */
+async function readRegistryFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+  const registry = {};
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    for (const [mac, entry] of Object.entries(data)) registry[macKey(mac)] = entry;
+  }
+  return registry;
+}
+
+/**
+ * 读取注册表：默认值叠加本地修改（两个文件都未变化时复用缓存）
+ * @returns {Promise<Object<string, Object>>}
+ */
+export async function loadBeaconRegistry() {
+  try {
+    const files = [BEACON_REGISTRY_PATH, BEACON_REGISTRY_LOCAL_PATH];
+    const stamp = (await Promise.all(files.map(file => fs.stat(file).then(stat => stat.mtimeMs, () => 0)))).join('|');
+    if (registryCache && stamp === registryStamp) return registryCache;
+    const [defaults, overrides] = await Promise.all(files.map(readRegistryFile));
+    registryCache = applyOverrides(defaults, overrides);
+    registryStamp = stamp;
+    return registryCache;
+  } catch {
+    return registryCache || {};
+  }
+}
+
+/**
+ * 在本地注册表文件的写入队列内读取、修改并写回，并发修改不会互相覆盖；写入后清空缓存，下次读取时重新加载
+ * @param {(registry: Object) => Object|undefined} mutator - 接收当前注册表（默认值叠加本地修改，键已规范化），返回新的注册表，返回 undefined 时不写入
+ */
+async function updateBeaconRegistry(mutator) {
+  await updateJsonFile(BEACON_REGISTRY_LOCAL_PATH, async () => {
+    const [defaults, overrides] = await Promise.all([BEACON_REGISTRY_PATH, BEACON_REGISTRY_LOCAL_PATH].map(readRegistryFile));
+    const next = mutator(applyOverrides(defaults, overrides));
+    return next === undefined ? undefined : diffOverrides(defaults, next);
+  }, {});
+  registryCache = null;
+}
+
+/**
+ * 校验信标字段（用于新增 / 修改），只校验出现的字段
+ * @param {Object} input
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export function validateBeacon(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return '请求体应为对象';
+  if (input.name != null && typeof input.name !== 'string') return 'name 应为字符串';
+  if (input.role != null && !BEACON_ROLES.includes(input.role)) return `role 仅支持 ${BEACON_ROLES.join(' / ')}`;
+  if (input.hidden != null && typeof input.hidden !== 'boolean') return 'hidden 应为布尔值';
+  if (input.tags != null && (!Array.isArray(input.tags) || input.tags.some(t => typeof t !== 'string'))) {
+    return 'tags 应为字符串数组';
+  }
+  if (input.aliases != null && (!Array.isArray(input.aliases) || input.aliases.some(a => typeof a !== 'string' || !a.trim()))) {
+    return 'aliases 应为非空字符串数组';
+  }
+  return null;
+}
+
+/**
+ * 新增或修改信标（与已有字段合并，tags / aliases 整体替换）
+ * @param {string} mac
+ * @param {Object} patch
+ * @returns {Promise<{ mac: string, name: string|null, role: string|null, hidden: boolean, tags: string[], aliases: string[] }>}
+ */
+export async function upsertBeacon(mac, patch) {
+  const key = macKey(mac);
+  let entry;
+  await updateBeaconRegistry((registry) => {
+    const previous = registry[key] || {};
+    entry = {
+      name: patch.name ?? previous.name ?? null,
+      role: patch.role ?? previous.role ?? null,
+      hidden: patch.hidden ?? previous.hidden ?? false,
+      tags: patch.tags ?? previous.tags ?? [],
+      aliases: patch.aliases?.map(a => a.trim()) ?? previous.aliases ?? []
+    };
+    return { ...registry, [key]: entry };
+  });
+  return { mac: key, ...entry };
+}
+
+/**
+ * 删除信标登记
+ * @param {string} mac
+ * @returns {Promise<boolean>}
+ */
+export async function removeBeacon(mac) {
+  const key = macKey(mac);
+  let removed = false;
+  await updateBeaconRegistry((registry) => {
+    if (!registry[key]) return undefined;
+    removed = true;
+    delete registry[key];
+    return registry;
+  });
+  return removed;
+}
+
+/**
+ * 信标登记信息（未登记时按名称约定推断）
+ * @param {Object} registry
+ * @param {string} mac
+ * @param {string} [beaconName] - 信标广播名称
+ * @returns {{ registered: boolean, displayName: string, role: string|null, hidden: boolean, tags: string[], aliases: string[] }}
+ */
+export function resolveBeaconInfo(registry, mac, beaconName) {
+  const entry = registry?.[macKey(mac)];
+  if (!entry) {
+    return {
+      registered: false,
+      displayName: getBeaconDisplayName(beaconName),
+      role: isVisitorBeacon(beaconName) ? 'visitor' : null,
+      hidden: false,
+      tags: [],
+      aliases: []
+    };
+  }
+  return {
+    registered: true,
+    displayName: entry.name || getBeaconDisplayName(beaconName),
+    role: entry.role || null,
+    hidden: entry.hidden === true,
+    tags: entry.tags || [],
+    aliases: entry.aliases || []
+  };
+}
+
+/** 部分 MAC 匹配所需的最少十六进制位数 */
+const PARTIAL_MAC_MIN_LENGTH = 4;
+
+/**
+ * 按 MAC、名称或别名查找信标（只在当前数据中查找）
+ * 依次尝试：完整 MAC（任意分隔格式、大小写）→ 广播名 / 显示名（如「3号信标」）/ 别名完全相同（忽略大小写）→
+ * 名称或别名包含关键字、MAC 包含至少 4 位十六进制片段；某一级命中多个时不再往下，返回候选列表供选择
+ * @param {{ beacons: Object }} data - 蓝牙状态
+ * @param {Object} registry - 信标注册表
+ * @param {string} query
+ * @returns {{ match: { mac: string, beacon: Object }|null, candidates: Array<{ mac: string, name: string|null, displayName: string }> }}
+ *   唯一命中时 match 为结果、candidates 为空；不唯一时 match 为 null、candidates 为各候选
+ */
+export function resolveBeacon(data, registry, query) {
+  const keyword = String(query ?? '').trim();
+  const none = { match: null, candidates: [] };
+  if (!keyword || !data?.beacons) return none;
+
+  const entries = Object.entries(data.beacons).map(([mac, beacon]) => {
+    const info = resolveBeaconInfo(registry, mac, beacon.name);
+    const names = [beacon.name, beacon.name || info.registered ? info.displayName : null, ...info.aliases]
+      .filter(Boolean)
+      .map(name => String(name).toLowerCase());
+    return { mac, beacon, key: macKey(mac), names, displayName: info.displayName };
+  });
+  const pick = (list) => {
+    if (list.length === 1) return { match: { mac: list[0].mac, beacon: list[0].beacon }, candidates: [] };
+    return {
+      match: null,
+      candidates: list.map(item => ({ mac: item.mac, name: item.beacon.name || null, displayName: item.displayName }))
+    };
+  };
+
+  const mac = normalizeMac(keyword);
+  if (mac) {
+    const found = entries.filter(item => item.key === mac);
+    // 旧数据中同一 MAC 可能以不同格式各存一份，优先规范格式的那份
+    if (found.length) return pick([found.find(item => item.mac === mac) || found[0]]);
+  }
+
+  const lower = keyword.toLowerCase();
+  const exact = entries.filter(item => item.names.includes(lower));
+  if (exact.length) return pick(exact);
+
+  const hex = keyword.toUpperCase().replace(/[:\-.\s]/g, '');
+  const partialMac = /^[0-9A-F]+$/.test(hex) && hex.length >= PARTIAL_MAC_MIN_LENGTH ? hex : null;
+  const partial = entries.filter(item =>
+    item.names.some(name => name.includes(lower)) ||
+    (partialMac && item.key.replace(/:/g, '').includes(partialMac))
+  );
+  return partial.length ? pick(partial) : none;
+}
+
+/**
+ * 候选列表的文字说明（插件回复用）
+ * @param {Array<{ mac: string, name: string|null, displayName: string }>} candidates
+ * @param {number} [limit=10]
+ * @returns {string}
+ */
+export function formatBeaconCandidates(candidates, limit = 10) {
+  const lines = candidates.slice(0, limit).map(c => {
+    const label = c.name && c.name !== c.displayName ? `${c.displayName}（${c.name}）` : c.displayName;
+    return `   ${label} ${c.mac}`;
+  });
+  if (candidates.length > limit) lines.push(`   ... 共 ${candidates.length} 个`);
+  return lines.join('\n');
+}
+
+/**
+ * 列出信标（合并实时检测与注册表），按最强 RSSI 降序
+ * @param {{ beacons: Object }} data - 蓝牙状态
+ * @param {Object} registry
+ * @param {{ role?: string, tag?: string, includeHidden?: boolean, includeUndetected?: boolean }} [filter]
+ *   默认只返回当前有有效接收器、未隐藏的信标；includeUndetected 时包含已登记但当前未检测到的信标
+ * @param {number} [now=Date.now()]
+ * @returns {Array<{ mac: string, name: string|null, displayName: string, role: string|null, hidden: boolean, tags: string[], registered: boolean, detections: Object, first_seen: number|null }>}
+ */
+export function listBeacons(data, registry, { role, tag, includeHidden = false, includeUndetected = false } = {}, now = Date.now()) {
+  const list = [];
+  const listed = new Set();
+  for (const [mac, beacon] of Object.entries(data?.beacons || {})) {
+    listed.add(macKey(mac));
+    const detections = {};
+    for (const r of getValidReceivers(beacon, now)) {
+      detections[r.deviceId] = {
+        receiver: r.name,
+        rssi: r.rssi,
+        rssi_raw: r.rssi_raw,
+        rssi_smoothed: r.rssi_smoothed,
+        online: r.online,
+        last_update: r.last_update
+      };
+    }
+    if (!Object.keys(detections).length && !(includeUndetected && registry?.[macKey(mac)])) continue;
+    list.push({ mac, name: beacon.name, ...resolveBeaconInfo(registry, mac, beacon.name), detections, first_seen: beacon.first_seen });
+  }
+  if (includeUndetected) {
+    for (const mac of Object.keys(registry || {})) {
+      if (listed.has(mac)) continue;
+      list.push({ mac, name: null, ...resolveBeaconInfo(registry, mac), detections: {}, first_seen: null });
+    }
+  }
+  const maxRssi = (b) => Math.max(-100, ...Object.values(b.detections).map(d => d.rssi || -100));
+  return list
+    .filter(b => includeHidden || !b.hidden)
+    .filter(b => !role || b.role === role)
+    .filter(b => !tag || b.tags.includes(tag))
+    .sort((a, b) => maxRssi(b) - maxRssi(a));
+}
@@ -0,0 +1,163 @@
+/**
+ * IM-SYAU-Core 蓝牙运行配置（data/ble-config.json 为随仓库分发的默认值，data/ble-config.local.json 为本地修改）
+ * 在线窗口、超时阈值、详情「最近」窗口、数据与归档保留时长、信号强度分档、RSSI 平滑参数及重置权限集中于此，
+ * 插件、HTTP 与前端（GET /api/ble/config）共用同一份取值。启动时同步读取，经 API 修改后立即生效
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { updateJsonFile } from './ble-store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** 配置文件路径（纳入版本库的默认值，运行时不写入） */
+export const BLE_CONFIG_PATH = path.join(__dirname, '..', 'data', 'ble-config.json');
+
+/** 本地配置文件路径（不纳入版本库）：只保存经 API 修改过的字段，叠加在 BLE_CONFIG_PATH 之上 */
+export const BLE_CONFIG_LOCAL_PATH = path.join(__dirname, '..', 'data', 'ble-config.local.json');
+
+/** 默认配置（毫秒 / 天 / dBm） */
+export const DEFAULT_BLE_CONFIG = {
+  /** 活跃窗口：该时间内有上报视为在线 */
+  activeWindow: 10000,
+  /** 检测超时：超过该时间未更新的检测不再计入有效接收器 */
+  staleThreshold: 15000,
+  /** #蓝牙详情 中「最近检测」的窗口 */
+  detailRecentWindow: 10000,
+  /** #蓝牙历史 汇总的 RSSI 时序窗口 */
+  historyWindow: 5 * 60 * 1000,
+  /** 数据保留时长：超过该时间未更新的接收器 / 检测被定时清理 */
+  retention: 30 * 60 * 1000,
+  /** 归档保留天数：data/blues/archive 下超过该天数的每日归档被删除 */
+  archiveRetentionDays: 90,
+  /** 会话保留天数：data/blues/sessions 下超过该天数的每日会话文件被删除 */
+  sessionRetentionDays: 90,
+  /** #蓝牙重置 发出后需在该时间内发送 #蓝牙重置 确认 */
+  resetConfirmWindow: 30 * 1000,
+  /** 除主人外允许重置 / 撤销重置的用户ID（不经 GET /api/ble/config 公开） */
+  resetAllowList: [],
+  /** 信号强度分档下限：>= strong 为强，>= medium 为中，>= weak 为弱，其余为极弱 */
+  signalLevels: { strong: -60, medium: -70, weak: -80 },
+  /**
+   * RSSI 平滑（每个信标 × 接收器独立一份滤波状态）：method 为 kalman / ema / none；
+   * alpha 为 EMA 系数，processNoise / measurementNoise 为一维 Kalman 的 Q / R
+   */
+  rssiSmoothing: { method: 'kalman', alpha: 0.3, processNoise: 0.5, measurementNoise: 8 }
+};
+
+/** 支持的 RSSI 平滑方式 */
+export const RSSI_SMOOTHING_METHODS = ['kalman', 'ema', 'none'];
+
+const DURATION_KEYS = ['activeWindow', 'staleThreshold', 'detailRecentWindow', 'historyWindow', 'retention', 'resetConfirmWindow'];
+
+function merge(base, patch) {
+  return {
+    ...base,
+    ...(patch || {}),
+    signalLevels: { ...base.signalLevels, ...(patch?.signalLevels || {}) },
+    rssiSmoothing: { ...base.rssiSmoothing, ...(patch?.rssiSmoothing || {}) }
+  };
+}
+
+/** 累积本地修改：只保留出现过的字段，signalLevels / rssiSmoothing 按子字段合并 */
+function mergeOverrides(previous, patch) {
+  const next = { ...previous, ...patch };
+  for (const key of ['signalLevels', 'rssiSmoothing']) {
+    if (previous[key] || patch[key]) next[key] = { ...(previous[key] || {}), ...(patch[key] || {}) };
+  }
+  return next;
+}
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+function readConfigFile(file) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return isPlainObject(data) ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function load() {
+  return merge(merge(DEFAULT_BLE_CONFIG, readConfigFile(BLE_CONFIG_PATH)), readConfigFile(BLE_CONFIG_LOCAL_PATH));
+}
+
+let config = load();
+
+/**
+ * 当前配置（同步读取，调用方只读）
+ * @returns {typeof DEFAULT_BLE_CONFIG}
+ */
+export function getBLEConfig() {
+  return config;
+}
+
+/**
+ * 校验配置修改，只校验出现的字段
+ * @param {Object} patch
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export function validateBLEConfig(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return '请求体应为对象';
+  for (const key of Object.keys(patch)) {
+    if (!(key in DEFAULT_BLE_CONFIG)) return `未知配置项 ${key}`;
+  }
+  for (const key of DURATION_KEYS) {
+    if (patch[key] != null && !(Number.isFinite(patch[key]) && patch[key] > 0)) return `${key} 应为正数（毫秒）`;
+  }
+  for (const key of ['archiveRetentionDays', 'sessionRetentionDays']) {
+    if (patch[key] != null && !(Number.isInteger(patch[key]) && patch[key] > 0)) return `${key} 应为正整数（天）`;
+  }
+  if (patch.resetAllowList != null && !(Array.isArray(patch.resetAllowList) &&
+      patch.resetAllowList.every(id => typeof id === 'string' || Number.isFinite(id)))) {
+    return 'resetAllowList 应为用户ID数组';
+  }
+  if (patch.signalLevels != null) {
+    if (typeof patch.signalLevels !== 'object') return 'signalLevels 应为对象';
+    for (const key of ['strong', 'medium', 'weak']) {
+      const value = patch.signalLevels[key];
+      if (value != null && !Number.isFinite(value)) return `signalLevels.${key} 应为数字`;
+    }
+  }
+  if (patch.rssiSmoothing != null) {
+    if (typeof patch.rssiSmoothing !== 'object' || Array.isArray(patch.rssiSmoothing)) return 'rssiSmoothing 应为对象';
+    const { method, alpha, processNoise, measurementNoise } = patch.rssiSmoothing;
+    if (method != null && !RSSI_SMOOTHING_METHODS.includes(method)) {
+      return `rssiSmoothing.method 仅支持 ${RSSI_SMOOTHING_METHODS.join('、')}`;
+    }
+    if (alpha != null && !(Number.isFinite(alpha) && alpha > 0 && alpha <= 1)) return 'rssiSmoothing.alpha 应在 (0, 1] 内';
+    for (const [key, value] of Object.entries({ processNoise, measurementNoise })) {
+      if (value != null && !(Number.isFinite(value) && value > 0)) return `rssiSmoothing.${key} 应为正数`;
+    }
+  }
+  const next = merge(config, patch);
+  if (next.activeWindow > next.staleThreshold) return 'activeWindow 不应大于 staleThreshold';
+  const { strong, medium, weak } = next.signalLevels;
+  if (!(strong > medium && medium > weak)) return 'signalLevels 应满足 strong > medium > weak';
+  return null;
+}
+
+/**
+ * 修改配置：修改的字段累积写入本地配置文件（串行 + 原子写入），默认值文件保持不变
+ * @param {Object} patch - 需先经 validateBLEConfig 校验
+ * @returns {Promise<typeof DEFAULT_BLE_CONFIG>} 修改后的配置
+ */
+export async function updateBLEConfig(patch) {
+  await updateJsonFile(BLE_CONFIG_LOCAL_PATH, (overrides) => mergeOverrides(isPlainObject(overrides) ? overrides : {}, patch), {});
+  config = merge(config, patch);
+  return config;
+}
+
+/**
+ * 信号强度分档
+ * @param {number} rssi
+ * @param {{ strong: number, medium: number, weak: number }} [levels]
+ * @returns {'strong'|'medium'|'weak'|'very_weak'}
+ */
+export function getSignalLevel(rssi, levels = config.signalLevels) {
+  if (rssi >= levels.strong) return 'strong';
+  if (rssi >= levels.medium) return 'medium';
+  if (rssi >= levels.weak) return 'weak';
+  return 'very_weak';
+}
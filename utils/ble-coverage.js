@@ -0,0 +1,168 @@
+/**
+ * IM-SYAU-Core 接收器覆盖分析
+ * 基于内存中的 RSSI 时序，按时间片统计：哪些接收器听到哪些信标（中位 RSSI）、
+ * 每个信标在各时间片被 0 / 1 / 2+ 个接收器听到的比例，以及各展区接收器成为最强接收器（决定展区归属）的频率，
+ * 用于发现盲区和需要调整位置的接收器。时序每个信标 × 接收器只保留最近 RSSI_HISTORY_SIZE 个采样，窗口过长时以实际数据起点为准
+ */
+import { getAllRssiHistory } from './ble-history.js';
+import { loadReceiverRegistry, isReceiverEnabled, resolveExhibitionId, resolveReceiverSite } from './ble-receivers.js';
+import { loadBeaconRegistry, resolveBeaconInfo } from './ble-beacons.js';
+import { getBLEData } from './ble-store.js';
+import { getBLEConfig } from './ble-config.js';
+import { DEFAULT_SITE } from './ble-sites.js';
+
+/** 默认分析窗口（毫秒） */
+export const DEFAULT_COVERAGE_WINDOW = 10 * 60 * 1000;
+
+/** 展区接收器在听到信标的时间片中成为最强接收器的比例低于该值时标记 */
+export const LOW_WIN_RATE = 0.1;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const ratio = (count, total) => (total ? Math.round((count / total) * 1000) / 1000 : null);
+
+/**
+ * 覆盖分析
+ * @param {{ from?: number, to?: number, slot?: number, site?: string }} [options]
+ *   slot 为时间片长度，默认取配置 activeWindow（与「在线」判定一致）；只分析 site（默认为默认站点）的接收器
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<{ window: Object, receivers: Array<Object>, beacons: Array<Object>, exhibitions: Array<Object> }>}
+ *   beacons[].seenBy 只统计信标在窗口内首末次被听到之间的时间片，之外视为信标不在馆内
+ */
+export async function analyzeCoverage({ from, to, slot, site = DEFAULT_SITE } = {}, now = Date.now()) {
+  to = to ?? now;
+  from = from ?? to - DEFAULT_COVERAGE_WINDOW;
+  slot = slot || getBLEConfig().activeWindow;
+  const registry = await loadReceiverRegistry();
+  const beaconRegistry = await loadBeaconRegistry();
+  const data = await getBLEData(site);
+  const included = (deviceId) => isReceiverEnabled(registry, deviceId) && resolveReceiverSite(registry, deviceId) === site;
+
+  // mac -> { receivers: Map<deviceId, rssi[]>, slots: Map<slotIndex, Map<deviceId, rssi[]>> }
+  const beacons = new Map();
+  let dataFrom = null;
+  for (const { mac, deviceId, samples } of getAllRssiHistory({ since: from, until: to, receiverFilter: included })) {
+    if (!beacons.has(mac)) beacons.set(mac, { receivers: new Map(), slots: new Map() });
+    const entry = beacons.get(mac);
+    const values = [];
+    for (const sample of samples) {
+      values.push(sample.rssi);
+      dataFrom = Math.min(dataFrom ?? sample.timestamp, sample.timestamp);
+      const index = Math.floor((sample.timestamp - from) / slot);
+      if (!entry.slots.has(index)) entry.slots.set(index, new Map());
+      const heard = entry.slots.get(index);
+      if (!heard.has(deviceId)) heard.set(deviceId, []);
+      heard.get(deviceId).push(sample.rssi);
+    }
+    entry.receivers.set(deviceId, values);
+  }
+
+  const receiverStats = new Map();
+  const receiverOf = (deviceId) => {
+    if (!receiverStats.has(deviceId)) {
+      receiverStats.set(deviceId, {
+        deviceId,
+        name: registry[deviceId]?.name || data.devices[deviceId]?.name || deviceId,
+        exhibitionId: resolveExhibitionId(registry, deviceId),
+        beacons: 0,
+        samples: 0,
+        heardSlots: 0,
+        wins: 0
+      });
+    }
+    return receiverStats.get(deviceId);
+  };
+  for (const deviceId of Object.keys(registry)) {
+    if (included(deviceId)) receiverOf(deviceId);
+  }
+
+  const beaconRows = [];
+  for (const [mac, entry] of beacons) {
+    const indexes = [...entry.slots.keys()];
+    const first = Math.min(...indexes);
+    const last = Math.max(...indexes);
+    const seenBy = { none: 0, single: 0, multiple: 0 };
+    for (let index = first; index <= last; index++) {
+      const heard = entry.slots.get(index);
+      if (!heard) {
+        seenBy.none++;
+        continue;
+      }
+      if (heard.size === 1) seenBy.single++;
+      else seenBy.multiple++;
+      // 最强接收器按时间片内的中位 RSSI 判定
+      let winner = null;
+      let best = -Infinity;
+      for (const [deviceId, values] of heard) {
+        receiverOf(deviceId).heardSlots++;
+        const value = median(values);
+        if (value > best) {
+          best = value;
+          winner = deviceId;
+        }
+      }
+      receiverOf(winner).wins++;
+    }
+    const slots = last - first + 1;
+    const name = data.beacons[mac]?.name;
+    const info = resolveBeaconInfo(beaconRegistry, mac, name);
+    const receivers = {};
+    for (const [deviceId, values] of entry.receivers) {
+      const stats = receiverOf(deviceId);
+      stats.beacons++;
+      stats.samples += values.length;
+      receivers[deviceId] = { samples: values.length, medianRssi: median(values) };
+    }
+    beaconRows.push({
+      mac,
+      name: name || null,
+      displayName: info.displayName,
+      role: info.role,
+      slots,
+      seenBy,
+      seenByRatio: {
+        none: ratio(seenBy.none, slots),
+        single: ratio(seenBy.single, slots),
+        multiple: ratio(seenBy.multiple, slots)
+      },
+      receivers
+    });
+  }
+  beaconRows.sort((a, b) => (b.seenByRatio.none ?? 0) - (a.seenByRatio.none ?? 0) || a.mac.localeCompare(b.mac));
+
+  const receiverRows = [...receiverStats.values()]
+    .map(r => ({ ...r, winRate: ratio(r.wins, r.heardSlots) }))
+    .sort((a, b) => a.deviceId.localeCompare(b.deviceId));
+
+  const exhibitionMap = new Map();
+  for (const r of receiverRows) {
+    if (!r.exhibitionId) continue;
+    if (!exhibitionMap.has(r.exhibitionId)) {
+      exhibitionMap.set(r.exhibitionId, { exhibitionId: r.exhibitionId, receivers: [], heardSlots: 0, wins: 0 });
+    }
+    const item = exhibitionMap.get(r.exhibitionId);
+    item.receivers.push(r.deviceId);
+    item.heardSlots += r.heardSlots;
+    item.wins += r.wins;
+  }
+  const exhibitions = [...exhibitionMap.values()].map(item => {
+    const winRate = ratio(item.wins, item.heardSlots);
+    let reason = null;
+    if (!item.heardSlots) reason = 'never_heard';
+    else if (winRate < LOW_WIN_RATE) reason = 'rarely_wins';
+    return { ...item, winRate, flagged: !!reason, reason };
+  }).sort((a, b) => (a.winRate ?? -1) - (b.winRate ?? -1));
+
+  return {
+    site,
+    window: { from, to, slot, dataFrom },
+    receivers: receiverRows,
+    beacons: beaconRows,
+    exhibitions
+  };
+}
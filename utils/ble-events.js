@@ -0,0 +1,35 @@
+/**
+ * IM-SYAU-Core 蓝牙数据更新通知（进程内）
+ * 插件处理完一批上报后发布，SSE 推送等订阅方据此向前端推送最新信标 / 接收器数据
+ */
+import { EventEmitter } from 'events';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * 发布一次数据更新
+ * @param {{ deviceId: string|null, site: string, beacons: string[], time: number, reset?: boolean }} update
+ *   上报的接收器、其所属站点、本批次涉及的信标 MAC、处理时间；数据被重置时 reset 为 true（deviceId 为 null，site 为重置的站点）
+ */
+export function publishBLEUpdate(update) {
+  emitter.emit('update', update);
+}
+
+/**
+ * 订阅数据更新
+ * @param {(update: { deviceId: string|null, site: string, beacons: string[], time: number, reset?: boolean }) => void} listener
+ * @returns {() => void} 取消订阅
+ */
+export function subscribeBLEUpdates(listener) {
+  emitter.on('update', listener);
+  return () => emitter.off('update', listener);
+}
+
+/**
+ * 当前订阅数
+ * @returns {number}
+ */
+export function getBLESubscriberCount() {
+  return emitter.listenerCount('update');
+}
@@ -0,0 +1,230 @@
+/**
+ * IM-SYAU-Core 蓝牙检测数据导出
+ * 把某时间段内的检测展开为「时间 × 信标 × 接收器」一行一条，来源依次为每日归档（已清理的检测）、
+ * 内存中的 RSSI 时序（每次上报一条）以及重启后尚无时序的当前检测；输出 CSV（Excel 可直接打开）或 NDJSON，边生成边写出。
+ * 每次导出一个站点。逐次采样只在内存时序中（重启后清空），归档只有每个检测清理前的最后状态，
+ * 故内存时序最早采样之前的时段每个信标 × 接收器只有约一行，见 getExportCoverage
+ */
+import fs from 'fs';
+import path from 'path';
+import { BLE_DATA_DIR, getBLEData } from './ble-store.js';
+import { getAllRssiHistory } from './ble-history.js';
+import { listArchives, readArchive } from './ble-archive.js';
+import { dayKey } from './ble-visitor-stats.js';
+import { loadReceiverRegistry, siteReceiverFilter } from './ble-receivers.js';
+import { loadBeaconRegistry, resolveBeaconInfo } from './ble-beacons.js';
+import { normalizeMac } from './ble-schema.js';
+import { DEFAULT_SITE } from './ble-sites.js';
+
+/** 导出文件目录（#蓝牙导出 生成的附件） */
+export const EXPORT_DIR = path.join(BLE_DATA_DIR, 'exports');
+
+/** 导出文件保留时长（毫秒），发送附件后不再需要 */
+export const EXPORT_FILE_TTL = 24 * 60 * 60 * 1000;
+
+/** 支持的导出格式 */
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+/** 导出列（CSV 表头顺序） */
+export const EXPORT_COLUMNS = [
+  'time',
+  'time_local',
+  'beacon_mac',
+  'beacon_name',
+  'display_name',
+  'role',
+  'receiver_id',
+  'receiver_name',
+  'exhibition_id',
+  'rssi',
+  'rssi_smoothed',
+  'online',
+  'source'
+];
+
+/** 各格式的 Content-Type */
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+function formatLocalTime(time) {
+  const d = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 导出时间段的逐次采样覆盖情况
+ * @param {{ from?: number, site?: string }} [options]
+ * @returns {Promise<{ sampledFrom: number|null, complete: boolean }>}
+ *   sampledFrom 为该站点内存 RSSI 时序中最早的采样时间（无时序时为 null）；complete 为 false 表示 from 至 sampledFrom 之间
+ *   只能导出归档中每个检测的最后状态，不是逐次上报
+ */
+export async function getExportCoverage({ from = 0, site = DEFAULT_SITE } = {}) {
+  const receiverFilter = siteReceiverFilter(await loadReceiverRegistry(), site);
+  let sampledFrom = null;
+  for (const { samples } of getAllRssiHistory({ receiverFilter })) {
+    if (sampledFrom == null || samples[0].timestamp < sampledFrom) sampledFrom = samples[0].timestamp;
+  }
+  return { sampledFrom, complete: sampledFrom != null && from >= sampledFrom };
+}
+
+/**
+ * 按时间段与条件逐行生成导出数据
+ * @param {{ from?: number, to?: number, beacon?: string, receiver?: string, site?: string }} [options]
+ *   beacon 匹配 MAC（不区分大小写与分隔格式）或信标名称，receiver 为接收器ID，site 默认为默认站点
+ * @returns {AsyncGenerator<Object>} 行对象，字段见 EXPORT_COLUMNS；同一来源内按时间升序
+ */
+export async function* iterateExportRows({ from = 0, to = Date.now(), beacon, receiver, site = DEFAULT_SITE } = {}) {
+  const receivers = await loadReceiverRegistry();
+  const receiverFilter = siteReceiverFilter(receivers, site);
+  const beacons = await loadBeaconRegistry();
+  const beaconKey = beacon ? normalizeMac(beacon) || beacon.toUpperCase() : null;
+  const matches = (mac, name, deviceId) =>
+    (!beaconKey || (normalizeMac(mac) || mac.toUpperCase()) === beaconKey || name === beacon) && (!receiver || deviceId === receiver);
+  const toRow = (time, mac, name, deviceId, receiverName, fields, source) => {
+    const info = resolveBeaconInfo(beacons, mac, name);
+    return {
+      time,
+      time_local: formatLocalTime(time),
+      beacon_mac: mac,
+      beacon_name: name ?? null,
+      display_name: info.displayName,
+      role: info.role,
+      receiver_id: deviceId,
+      receiver_name: receivers[deviceId]?.name || receiverName || deviceId,
+      exhibition_id: receivers[deviceId]?.exhibitionId ?? null,
+      rssi: fields.rssi ?? null,
+      rssi_smoothed: fields.rssi_smoothed ?? null,
+      online: fields.online ?? null,
+      source
+    };
+  };
+
+  // 已清理的检测：只保留清理前的最后状态
+  const firstDay = dayKey(from);
+  const lastDay = dayKey(to);
+  for (const { date } of await listArchives(site)) {
+    if (date < firstDay || date > lastDay) continue;
+    const records = (await readArchive(date, { type: 'detection', receiver, site })) || [];
+    const rows = records
+      .filter(r => r.time >= from && r.time <= to && matches(r.mac, r.beaconName, r.deviceId))
+      .sort((a, b) => a.time - b.time);
+    for (const r of rows) {
+      yield toRow(r.time, r.mac, r.beaconName, r.deviceId, r.receiver_name, {
+        rssi: r.rssi_raw ?? r.rssi,
+        rssi_smoothed: r.rssi_smoothed,
+        online: r.online
+      }, 'archive');
+    }
+  }
+
+  const data = await getBLEData(site);
+  const rows = [];
+  const sampled = new Set();
+  for (const { mac, deviceId, samples } of getAllRssiHistory({ since: from, until: to, receiverFilter })) {
+    const current = data.beacons[mac];
+    sampled.add(`${mac}|${deviceId}`);
+    if (!matches(mac, current?.name, deviceId)) continue;
+    const receiverName = current?.detections?.[deviceId]?.receiver_name;
+    for (const sample of samples) {
+      rows.push(toRow(sample.timestamp, mac, current?.name, deviceId, receiverName, {
+        rssi: sample.rssi,
+        rssi_smoothed: sample.rssi_smoothed,
+        online: true
+      }, 'history'));
+    }
+  }
+  // 重启后时序为空，退回当前检测
+  for (const [mac, current] of Object.entries(data.beacons)) {
+    for (const [deviceId, detection] of Object.entries(current.detections || {})) {
+      const time = detection.update_time || 0;
+      if (sampled.has(`${mac}|${deviceId}`) || time < from || time > to) continue;
+      if (!matches(mac, current.name, deviceId)) continue;
+      rows.push(toRow(time, mac, current.name, deviceId, detection.receiver_name, {
+        rssi: detection.rssi_raw ?? detection.rssi,
+        rssi_smoothed: detection.rssi_smoothed,
+        online: detection.online
+      }, 'live'));
+    }
+  }
+  rows.sort((a, b) => a.time - b.time);
+  yield* rows;
+}
+
+/**
+ * 写出导出数据（按流的背压节奏写入，不负责关闭流；流被提前关闭（如客户端断开）时停止）
+ * @param {import('stream').Writable} output - HTTP 响应或文件流
+ * @param {'csv'|'ndjson'} format
+ * @param {Object} [options] - 同 iterateExportRows
+ * @returns {Promise<number>} 行数
+ */
+export async function writeExport(output, format, options = {}) {
+  const waitDrain = () => new Promise((resolve) => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+  const write = async (chunk) => {
+    if (!output.write(chunk)) await waitDrain();
+  };
+  if (format === 'csv') {
+    // BOM 使 Excel 按 UTF-8 识别中文
+    await write('\uFEFF' + EXPORT_COLUMNS.join(',') + '\r\n');
+  }
+  let count = 0;
+  for await (const row of iterateExportRows(options)) {
+    if (output.destroyed) break;
+    await write(format === 'csv'
+      ? EXPORT_COLUMNS.map(column => csvCell(row[column])).join(',') + '\r\n'
+      : JSON.stringify(row) + '\n');
+    count++;
+  }
+  return count;
+}
+
+/**
+ * 导出到文件（同时删除超过 EXPORT_FILE_TTL 的旧导出文件）
+ * @param {'csv'|'ndjson'} format
+ * @param {Object} [options] - 同 iterateExportRows
+ * @returns {Promise<{ file: string, name: string, count: number, coverage: { sampledFrom: number|null, complete: boolean } }>}
+ */
+export async function createExportFile(format, options = {}) {
+  const coverage = await getExportCoverage(options);
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+  const now = Date.now();
+  for (const file of await fs.promises.readdir(EXPORT_DIR)) {
+    const stat = await fs.promises.stat(path.join(EXPORT_DIR, file)).catch(() => null);
+    if (stat && now - stat.mtimeMs > EXPORT_FILE_TTL) {
+      await fs.promises.unlink(path.join(EXPORT_DIR, file)).catch(() => {});
+    }
+  }
+  const site = options.site || DEFAULT_SITE;
+  const name = `ble-export-${site === DEFAULT_SITE ? '' : `${site}-`}${dayKey(now)}-${now}.${format}`;
+  const file = path.join(EXPORT_DIR, name);
+  const output = fs.createWriteStream(file);
+  try {
+    const count = await writeExport(output, format, options);
+    output.end();
+    await new Promise((resolve, reject) => {
+      output.once('finish', resolve);
+      output.once('error', reject);
+    });
+    return { file, name, count, coverage };
+  } catch (err) {
+    output.destroy();
+    await fs.promises.unlink(file).catch(() => {});
+    throw err;
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * IM-SYAU-Core RSSI 指纹定位
+ * 采集模式下，把参考信标在各接收器上的 RSSI 向量记入指纹库（每个站点一个，默认站点为 data/blues/fingerprints.json）；
+ * 定位时用 kNN 将实时向量匹配到最近的标注点位 / 展区。三边定位在玻璃展柜多、房间小的场景误差较大时使用
+ */
+import path from 'path';
+import { BLE_DATA_DIR, readJsonFile, writeJsonFile } from './ble-store.js';
+import { DEFAULT_SITE, getSiteBLEDir } from './ble-sites.js';
+
+/** 默认站点的指纹库文件路径 */
+export const FINGERPRINT_PATH = path.join(BLE_DATA_DIR, 'fingerprints.json');
+
+/**
+ * 站点的指纹库文件路径
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {string}
+ */
+export function getFingerprintPath(site = DEFAULT_SITE) {
+  return path.join(getSiteBLEDir(site), 'fingerprints.json');
+}
+
+/** 未检测到的接收器按此 RSSI 参与距离计算 */
+export const MISSING_RSSI = -100;
+
+/** 默认采集时长（毫秒），到时自动结束 */
+export const DEFAULT_CAPTURE_DURATION = 60 * 1000;
+
+/** 每个点位最多保留的采样数（超出丢弃最旧的） */
+export const MAX_SAMPLES_PER_POINT = 300;
+
+/** kNN 的 k */
+export const DEFAULT_K = 5;
+
+/** 站点 -> 指纹库 */
+const dbs = new Map();
+let capture = null;
+
+/**
+ * 读取指纹库
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<{ reference: string|null, points: Object<string, { label: string, exhibitionId: string|null, samples: Array<{ vector: Object<string, number>, time: number }> }> }>}
+ */
+export async function loadFingerprints(site = DEFAULT_SITE) {
+  if (dbs.has(site)) return dbs.get(site);
+  const data = await readJsonFile(getFingerprintPath(site), null);
+  const db = {
+    reference: data?.reference || null,
+    points: data?.points && typeof data.points === 'object' ? data.points : {}
+  };
+  dbs.set(site, db);
+  return db;
+}
+
+async function saveFingerprints(site) {
+  if (dbs.has(site)) await writeJsonFile(getFingerprintPath(site), dbs.get(site));
+}
+
+/**
+ * 当前采集状态（同一时间只有一个采集，site 为其所在站点）
+ * @returns {{ label: string, beaconMac: string, exhibitionId: string|null, site: string, startedAt: number, until: number, samples: number }|null}
+ */
+export function getCaptureStatus() {
+  if (!capture) return null;
+  const { timer, ...status } = capture;
+  return status;
+}
+
+/**
+ * 开始采集（已有采集进行中时先结束并保存）
+ * @param {{ label: string, beaconMac: string, exhibitionId?: string, duration?: number, site?: string }} options - 采样记入 site 的指纹库
+ * @returns {Promise<Object>} 采集状态
+ */
+export async function startCapture({ label, beaconMac, exhibitionId = null, duration = DEFAULT_CAPTURE_DURATION, site = DEFAULT_SITE }) {
+  if (capture) await stopCapture();
+  const data = await loadFingerprints(site);
+  data.reference = beaconMac;
+  if (!data.points[label]) {
+    data.points[label] = { label, exhibitionId: exhibitionId || null, samples: [] };
+  } else if (exhibitionId) {
+    data.points[label].exhibitionId = exhibitionId;
+  }
+  const now = Date.now();
+  capture = {
+    label,
+    beaconMac,
+    exhibitionId: data.points[label].exhibitionId,
+    site,
+    startedAt: now,
+    until: now + duration,
+    samples: 0,
+    timer: setTimeout(() => { stopCapture().catch(() => {}); }, duration)
+  };
+  capture.timer.unref?.();
+  return getCaptureStatus();
+}
+
+/**
+ * 结束采集并保存指纹库
+ * @returns {Promise<Object|null>} 结束前的采集状态，未在采集时返回 null
+ */
+export async function stopCapture() {
+  if (!capture) return null;
+  const status = getCaptureStatus();
+  clearTimeout(capture.timer);
+  capture = null;
+  await saveFingerprints(status.site);
+  return status;
+}
+
+/**
+ * 采集模式下记录参考信标的一组 RSSI 向量（在入库后调用，复用已存储的检测数据）
+ * @param {string} mac
+ * @param {Array<{ deviceId: string, rssi: number }>} receivers - 该信标当前有效接收器
+ * @param {number} [now=Date.now()]
+ * @param {string} [site=DEFAULT_SITE] - receivers 所属站点，与采集所在站点不同时不记录
+ * @returns {boolean} 是否记录
+ */
+export function recordFingerprintSample(mac, receivers, now = Date.now(), site = DEFAULT_SITE) {
+  if (!capture || capture.beaconMac !== mac || capture.site !== site || !dbs.has(site)) return false;
+  if (now > capture.until || !receivers?.length) return false;
+  const vector = {};
+  for (const r of receivers) vector[r.deviceId] = r.rssi;
+  const point = dbs.get(site).points[capture.label];
+  point.samples.push({ vector, time: now });
+  if (point.samples.length > MAX_SAMPLES_PER_POINT) {
+    point.samples.splice(0, point.samples.length - MAX_SAMPLES_PER_POINT);
+  }
+  capture.samples++;
+  return true;
+}
+
+/**
+ * 删除点位
+ * @param {string} label
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<boolean>}
+ */
+export async function removeFingerprintPoint(label, site = DEFAULT_SITE) {
+  const data = await loadFingerprints(site);
+  if (!data.points[label]) return false;
+  delete data.points[label];
+  await saveFingerprints(site);
+  return true;
+}
+
+function vectorDistance(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  let sum = 0;
+  for (const key of keys) {
+    const diff = (a[key] ?? MISSING_RSSI) - (b[key] ?? MISSING_RSSI);
+    sum += diff * diff;
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * kNN 匹配：取距离最近的 k 个采样，按 1/距离 加权投票
+ * @param {Array<{ deviceId: string, rssi: number }>} receivers - 实时有效接收器
+ * @param {Object} fingerprints - loadFingerprints 的结果
+ * @param {number} [k=DEFAULT_K]
+ * @returns {{ label: string, exhibitionId: string|null, confidence: number, distance: number, candidates: Array<{ label: string, score: number }> }|null}
+ */
+export function matchFingerprint(receivers, fingerprints, k = DEFAULT_K) {
+  if (!receivers?.length) return null;
+  const live = {};
+  for (const r of receivers) live[r.deviceId] = r.rssi;
+
+  const neighbors = [];
+  for (const point of Object.values(fingerprints?.points || {})) {
+    for (const sample of point.samples || []) {
+      neighbors.push({ point, distance: vectorDistance(live, sample.vector) });
+    }
+  }
+  if (!neighbors.length) return null;
+  neighbors.sort((a, b) => a.distance - b.distance);
+
+  const scores = new Map();
+  let total = 0;
+  for (const { point, distance } of neighbors.slice(0, k)) {
+    const weight = 1 / Math.max(distance, 1);
+    scores.set(point.label, (scores.get(point.label) || 0) + weight);
+    total += weight;
+  }
+  const candidates = [...scores.entries()]
+    .map(([label, score]) => ({ label, score: Math.round((score / total) * 100) / 100 }))
+    .sort((a, b) => b.score - a.score);
+  const best = fingerprints.points[candidates[0].label];
+  const bestDistance = neighbors.find(n => n.point === best).distance;
+
+  return {
+    label: best.label,
+    exhibitionId: best.exhibitionId || null,
+    confidence: candidates[0].score,
+    distance: Math.round(bestDistance * 10) / 10,
+    candidates
+  };
+}
+
+/**
+ * 指纹库概要
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<{ reference: string|null, points: Array<{ label: string, exhibitionId: string|null, samples: number }>, capture: Object|null }>}
+ *   capture 为进行中的采集（可能在其他站点，见其 site）
+ */
+export async function summarizeFingerprints(site = DEFAULT_SITE) {
+  const data = await loadFingerprints(site);
+  return {
+    reference: data.reference,
+    points: Object.values(data.points).map(p => ({
+      label: p.label,
+      exhibitionId: p.exhibitionId || null,
+      samples: p.samples?.length || 0
+    })),
+    capture: getCaptureStatus()
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * IM-SYAU-Core 接收器健康监测
+ * 记录每个接收器的最近上报、上报频率、分批完整率与在线时长，按阈值判定离线 / 恢复；
+ * 阈值与告警群在 data/ble-watchdog.json 配置。状态只在内存，启动时以 ble_data.json 中的最近上报时间为起点
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** 监测配置文件 */
+export const WATCHDOG_CONFIG_PATH = path.join(__dirname, '..', 'data', 'ble-watchdog.json');
+
+/** 默认配置：无上报多久判定离线、离线后连续上报几次判定恢复、巡检间隔、告警群 */
+export const DEFAULT_WATCHDOG_CONFIG = {
+  offlineAfter: 60 * 1000,
+  recoverAfterReports: 3,
+  checkInterval: 15 * 1000,
+  groups: []
+};
+
+/** 上报频率统计窗口（毫秒） */
+export const REPORT_RATE_WINDOW = 10 * 60 * 1000;
+
+/** deviceId -> 健康状态 */
+const receivers = new Map();
+const monitorStart = Date.now();
+
+let configCache = null;
+let configMtime = 0;
+
+/**
+ * 读取监测配置（缺省字段用默认值补齐）
+ * @returns {Promise<typeof DEFAULT_WATCHDOG_CONFIG>}
+ */
+export async function loadWatchdogConfig() {
+  try {
+    const stat = await fs.stat(WATCHDOG_CONFIG_PATH);
+    if (configCache && stat.mtimeMs === configMtime) return configCache;
+    const data = JSON.parse(await fs.readFile(WATCHDOG_CONFIG_PATH, 'utf-8'));
+    configCache = { ...DEFAULT_WATCHDOG_CONFIG, ...(data && typeof data === 'object' ? data : {}) };
+    configMtime = stat.mtimeMs;
+    return configCache;
+  } catch {
+    return configCache || { ...DEFAULT_WATCHDOG_CONFIG };
+  }
+}
+
+function ensureReceiver(deviceId, now) {
+  if (!receivers.has(deviceId)) {
+    receivers.set(deviceId, {
+      deviceId,
+      name: deviceId,
+      status: 'unknown',
+      since: now,
+      lastReport: null,
+      reports: [],
+      recoverReports: 0,
+      onlineTime: 0,
+      scans: { complete: 0, incomplete: 0 },
+      currentScan: null
+    });
+  }
+  return receivers.get(deviceId);
+}
+
+function setStatus(state, status, now) {
+  if (state.status === 'online') state.onlineTime += now - state.since;
+  state.status = status;
+  state.since = now;
+}
+
+/**
+ * 以已持久化的设备信息初始化（不产生告警）
+ * @param {Object} devices - data.devices
+ * @param {string[]} [registered] - 注册表中启用的接收器，从未上报的也纳入监测
+ * @param {number} [offlineAfter]
+ * @param {number} [now=Date.now()]
+ */
+export function seedReceiverHealth(devices, registered = [], offlineAfter = DEFAULT_WATCHDOG_CONFIG.offlineAfter, now = Date.now()) {
+  for (const deviceId of new Set([...Object.keys(devices || {}), ...registered])) {
+    if (receivers.has(deviceId)) continue;
+    const state = ensureReceiver(deviceId, now);
+    const device = devices?.[deviceId];
+    if (device) {
+      state.name = device.name || deviceId;
+      state.lastReport = device.update || null;
+    }
+    if (state.lastReport && now - state.lastReport <= offlineAfter) {
+      state.status = 'online';
+      state.since = state.lastReport;
+    }
+  }
+}
+
+/**
+ * 记录一次上报（一个批次）
+ * @param {string} deviceId
+ * @param {{ name?: string, batch?: number, total_batches?: number }} report
+ * @param {{ recoverAfterReports?: number }} [config]
+ * @param {number} [now=Date.now()]
+ * @returns {Object|null} 离线后恢复时返回 recovered 事件
+ */
+export function recordReceiverReport(deviceId, report = {}, config = DEFAULT_WATCHDOG_CONFIG, now = Date.now()) {
+  const state = ensureReceiver(deviceId, now);
+  if (report.name) state.name = report.name;
+  state.lastReport = now;
+  state.reports.push(now);
+  while (state.reports.length && now - state.reports[0] > REPORT_RATE_WINDOW) state.reports.shift();
+
+  // 分批完整性：batch=1 开始新一轮扫描，上一轮未收齐即计为不完整
+  const total = Number(report.total_batches) > 1 ? Number(report.total_batches) : 1;
+  const batch = total > 1 ? Number(report.batch) || 1 : 1;
+  if (batch === 1 || !state.currentScan || state.currentScan.total !== total) {
+    if (state.currentScan) state.scans.incomplete++;
+    state.currentScan = { total, received: new Set() };
+  }
+  state.currentScan.received.add(batch);
+  if (state.currentScan.received.size >= total) {
+    state.scans.complete++;
+    state.currentScan = null;
+  }
+
+  if (state.status === 'online') return null;
+  if (state.status === 'unknown') {
+    setStatus(state, 'online', now);
+    return null;
+  }
+  state.recoverReports++;
+  if (state.recoverReports < (config.recoverAfterReports || 1)) return null;
+  const offlineSince = state.since;
+  setStatus(state, 'online', now);
+  state.recoverReports = 0;
+  return { type: 'recovered', deviceId, name: state.name, downtime: now - offlineSince, time: now };
+}
+
+/**
+ * 巡检：超过阈值未上报的接收器判定离线（从未上报的接收器自监测开始计时）
+ * @param {{ offlineAfter?: number }} [config]
+ * @param {number} [now=Date.now()]
+ * @returns {Array<Object>} offline 事件
+ */
+export function checkReceiverHealth(config = DEFAULT_WATCHDOG_CONFIG, now = Date.now()) {
+  const events = [];
+  const offlineAfter = config.offlineAfter || DEFAULT_WATCHDOG_CONFIG.offlineAfter;
+  for (const state of receivers.values()) {
+    if (state.status === 'offline') {
+      // 离线期间零星的上报不足以恢复，长时间再无上报则重新累计
+      if (state.lastReport && now - state.lastReport > offlineAfter) state.recoverReports = 0;
+      continue;
+    }
+    const silentSince = state.lastReport ?? monitorStart;
+    if (now - silentSince <= offlineAfter) continue;
+    setStatus(state, 'offline', silentSince);
+    state.recoverReports = 0;
+    events.push({ type: 'offline', deviceId: state.deviceId, name: state.name, lastReport: state.lastReport, time: now });
+  }
+  return events;
+}
+
+/**
+ * 停止监测某接收器（如从注册表删除或停用）
+ * @param {string} deviceId
+ */
+export function forgetReceiverHealth(deviceId) {
+  receivers.delete(deviceId);
+}
+
+/**
+ * 健康汇总
+ * @param {number} [now=Date.now()]
+ * @returns {Array<{ deviceId: string, name: string, status: string, since: number, lastReport: number|null, silentFor: number|null, reportsPerMinute: number, batchCompleteness: number|null, uptime: number }>}
+ *   uptime 为监测开始（或首次纳入监测）以来的在线比例，batchCompleteness 为已完成扫描中收齐所有批次的比例
+ */
+export function getReceiverHealth(now = Date.now()) {
+  return [...receivers.values()]
+    .map(state => {
+      const recent = state.reports.filter(t => now - t <= REPORT_RATE_WINDOW);
+      const windowStart = Math.max(now - REPORT_RATE_WINDOW, monitorStart);
+      const minutes = Math.max((now - windowStart) / 60000, 1 / 60);
+      const scans = state.scans.complete + state.scans.incomplete;
+      const observed = now - Math.min(monitorStart, state.since);
+      const onlineTime = state.onlineTime + (state.status === 'online' ? now - state.since : 0);
+      return {
+        deviceId: state.deviceId,
+        name: state.name,
+        status: state.status,
+        since: state.since,
+        lastReport: state.lastReport,
+        silentFor: state.lastReport ? now - state.lastReport : null,
+        reportsPerMinute: Math.round((recent.length / minutes) * 10) / 10,
+        batchCompleteness: scans ? Math.round((state.scans.complete / scans) * 1000) / 1000 : null,
+        uptime: observed > 0 ? Math.round(Math.min(onlineTime / observed, 1) * 1000) / 1000 : 0
+      };
+    })
+    .sort((a, b) => a.deviceId.localeCompare(b.deviceId));
+}
@@ -0,0 +1,165 @@
+/**
+ * IM-SYAU-Core 信标 RSSI 时序历史
+ * 每个「信标 × 接收器」保留一个定长环形缓冲区，供排查信号抖动、调整阈值使用（仅内存，重启清空）
+ */
+
+/** 每个信标 × 接收器保留的采样数 */
+export const RSSI_HISTORY_SIZE = 300;
+
+/** 环形缓冲区：写满后覆盖最旧的采样 */
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  last() {
+    if (!this.length) return null;
+    return this.items[(this.start + this.length - 1) % this.capacity];
+  }
+
+  /** 按时间先后返回全部采样 */
+  toArray() {
+    const result = [];
+    for (let i = 0; i < this.length; i++) {
+      result.push(this.items[(this.start + i) % this.capacity]);
+    }
+    return result;
+  }
+}
+
+/** mac -> Map<deviceId, RingBuffer<{ rssi, timestamp }>> */
+const history = new Map();
+
+/**
+ * 记录一次 RSSI 采样
+ * @param {string} mac
+ * @param {string} deviceId
+ * @param {number} rssi - 原始 RSSI
+ * @param {number} [timestamp=Date.now()]
+ * @param {number} [smoothed] - 平滑后的 RSSI
+ */
+export function recordRssi(mac, deviceId, rssi, timestamp = Date.now(), smoothed) {
+  if (!mac || !deviceId || !Number.isFinite(rssi)) return;
+  let receivers = history.get(mac);
+  if (!receivers) {
+    receivers = new Map();
+    history.set(mac, receivers);
+  }
+  let buffer = receivers.get(deviceId);
+  if (!buffer) {
+    buffer = new RingBuffer(RSSI_HISTORY_SIZE);
+    receivers.set(deviceId, buffer);
+  }
+  buffer.push(Number.isFinite(smoothed) ? { rssi, rssi_smoothed: smoothed, timestamp } : { rssi, timestamp });
+}
+
+/**
+ * 获取信标的 RSSI 历史
+ * @param {string} mac
+ * @param {{ since?: number, receiver?: string, receiverFilter?: (deviceId: string) => boolean }} [options]
+ *   receiverFilter 只保留符合条件的接收器（如某站点的接收器，见 siteReceiverFilter）
+ * @returns {Object<string, Array<{ rssi: number, rssi_smoothed?: number, timestamp: number }>>} 接收器ID -> 采样（时间升序）
+ */
+export function getRssiHistory(mac, { since = 0, receiver, receiverFilter } = {}) {
+  const result = {};
+  const receivers = history.get(mac);
+  if (!receivers) return result;
+  for (const [deviceId, buffer] of receivers) {
+    if (receiver && deviceId !== receiver) continue;
+    if (receiverFilter && !receiverFilter(deviceId)) continue;
+    const samples = buffer.toArray().filter(s => s.timestamp >= since);
+    if (samples.length) result[deviceId] = samples;
+  }
+  return result;
+}
+
+/**
+ * 获取全部信标的 RSSI 历史
+ * @param {{ since?: number, until?: number, receiverFilter?: (deviceId: string) => boolean }} [options]
+ * @returns {Array<{ mac: string, deviceId: string, samples: Array<{ rssi: number, rssi_smoothed?: number, timestamp: number }> }>}
+ */
+export function getAllRssiHistory({ since = 0, until = Infinity, receiverFilter } = {}) {
+  const result = [];
+  for (const [mac, receivers] of history) {
+    for (const [deviceId, buffer] of receivers) {
+      if (receiverFilter && !receiverFilter(deviceId)) continue;
+      const samples = buffer.toArray().filter(s => s.timestamp >= since && s.timestamp <= until);
+      if (samples.length) result.push({ mac, deviceId, samples });
+    }
+  }
+  return result;
+}
+
+/**
+ * 汇总一组采样的趋势：前后两半均值之差为 delta，标准差反映抖动程度
+ * @param {Array<{ rssi: number, timestamp: number }>} samples
+ * @returns {{ count: number, latest: number, avg: number, min: number, max: number, stddev: number, delta: number, trend: 'up'|'down'|'flat' }|null}
+ */
+export function summarizeRssiTrend(samples) {
+  if (!samples?.length) return null;
+  const values = samples.map(s => s.rssi);
+  const avg = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length;
+  const half = Math.floor(values.length / 2);
+  const mean = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+  const delta = half > 0 ? mean(values.slice(half)) - mean(values.slice(0, half)) : 0;
+  return {
+    count: values.length,
+    latest: values[values.length - 1],
+    avg,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    stddev: Math.sqrt(variance),
+    delta,
+    trend: delta >= 3 ? 'up' : delta <= -3 ? 'down' : 'flat'
+  };
+}
+
+/**
+ * 清理最后采样早于 before 的缓冲区
+ * @param {number} before - 时间戳
+ * @returns {number} 清理的缓冲区数量
+ */
+export function pruneRssiHistory(before) {
+  let removed = 0;
+  for (const [mac, receivers] of history) {
+    for (const [deviceId, buffer] of receivers) {
+      if ((buffer.last()?.timestamp ?? 0) < before) {
+        receivers.delete(deviceId);
+        removed++;
+      }
+    }
+    if (!receivers.size) history.delete(mac);
+  }
+  return removed;
+}
+
+/**
+ * 清空历史（蓝牙数据重置时调用）
+ * @param {(deviceId: string) => boolean} [receiverFilter] - 只清空这些接收器的采样（如重置的站点），默认全部
+ */
+export function clearRssiHistory(receiverFilter) {
+  if (!receiverFilter) {
+    history.clear();
+    return;
+  }
+  for (const [mac, receivers] of history) {
+    for (const deviceId of [...receivers.keys()]) {
+      if (receiverFilter(deviceId)) receivers.delete(deviceId);
+    }
+    if (!receivers.size) history.delete(mac);
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * IM-SYAU-Core 蓝牙 / 知识库路由共用的请求解析与回复（http/ble.js 与 http/kb.js 共用，保证两处接口行为一致）
+ */
+import { HttpResponse } from '#utils/http-utils.js';
+import { resolveSite } from './ble-sites.js';
+import { getValidReceivers } from './ble-utils.js';
+import { getBLEConfig, getSignalLevel } from './ble-config.js';
+import { loadReceiverRegistry, resolveExhibitionId, isReceiverEnabled } from './ble-receivers.js';
+import { loadBeaconRegistry, resolveBeacon, resolveBeaconInfo } from './ble-beacons.js';
+
+/**
+ * 请求的站点（query 或 body 的 site，站点ID或名称；缺省为默认站点）；站点不存在时回复 400
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<string|null>} 已回复错误时返回 null
+ */
+export async function getSiteOrReply(req, res) {
+  const resolved = await resolveSite(req.query?.site ?? req.body?.site);
+  if (resolved.error) {
+    HttpResponse.validationError(res, resolved.error);
+    return null;
+  }
+  return resolved.site;
+}
+
+/**
+ * 按 MAC / 名称 / 别名查找信标；未找到时回复 404，匹配到多个时回复 409 并附候选列表
+ * @param {Object} res
+ * @param {Object} data - 蓝牙状态
+ * @param {string} query
+ * @returns {Promise<{ mac: string, beacon: Object }|null>} 已回复错误时返回 null
+ */
+export async function findBeaconOrReply(res, data, query) {
+  const { match, candidates } = resolveBeacon(data, await loadBeaconRegistry(), query);
+  if (match) return match;
+  if (candidates.length) {
+    res.status(409).json({
+      success: false,
+      message: `"${query}" 匹配到 ${candidates.length} 个信标，请使用完整名称、别名或 MAC`,
+      data: { candidates }
+    });
+    return null;
+  }
+  HttpResponse.notFound(res, '未找到指定信标');
+  return null;
+}
+
+/**
+ * 单信标的有效接收器（按注册表过滤停用接收器并映射展区）
+ * @param {{ mac: string, beacon: Object }} found - resolveBeacon 的 match
+ * @param {number} now
+ * @returns {Promise<Object>}
+ */
+export async function buildBeaconReceivers(found, now) {
+  const registry = await loadReceiverRegistry();
+  const { activeWindow } = getBLEConfig();
+  const receivers = getValidReceivers(found.beacon, now)
+    .filter(r => isReceiverEnabled(registry, r.deviceId))
+    .map(r => ({
+      receiverId: r.deviceId,
+      receiver: registry[r.deviceId]?.name || r.name,
+      exhibitionId: resolveExhibitionId(registry, r.deviceId),
+      rssi: r.rssi,
+      rssi_raw: r.rssi_raw,
+      rssi_smoothed: r.rssi_smoothed,
+      signal: getSignalLevel(r.rssi),
+      online: r.online,
+      active: now - r.lastUpdateTime <= activeWindow,
+      last_update: r.last_update,
+      lastUpdateTime: r.lastUpdateTime
+    }));
+  return {
+    beaconId: found.beacon.name,
+    beaconMac: found.mac,
+    displayName: resolveBeaconInfo(await loadBeaconRegistry(), found.mac, found.beacon.name).displayName,
+    receivers,
+    timestamp: now
+  };
+}
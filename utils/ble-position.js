@@ -0,0 +1,136 @@
+/**
+ * IM-SYAU-Core 信标位置估算
+ * 根据接收器注册表中的安装坐标与校准参数（data/receivers.json）与路径损耗模型，将 RSSI 换算为距离后做三边定位
+ */
+import { loadReceiverRegistry, toReceiverLayout } from './ble-receivers.js';
+
+/** 1 米处参考 RSSI（dBm），接收器未单独校准时使用 */
+export const DEFAULT_TX_POWER = -59;
+
+/** 路径损耗指数，空旷环境约 2，室内有遮挡 2.5~4 */
+export const DEFAULT_PATH_LOSS_EXPONENT = 2.5;
+
+/** 不确定半径下限（米），RSSI 模型本身的误差不会低于此值 */
+export const MIN_UNCERTAINTY = 0.5;
+
+/**
+ * 读取接收器布局（由注册表转换，跳过停用的接收器）
+ * @returns {Promise<Object>} deviceId -> { x, y, floor, txPower, pathLossExponent }
+ */
+export async function loadReceiverLayout() {
+  return toReceiverLayout(await loadReceiverRegistry());
+}
+
+/**
+ * 对数距离路径损耗模型：d = 10 ^ ((txPower - rssi) / (10 * n))
+ * @param {number} rssi
+ * @param {{ txPower?: number, pathLossExponent?: number }} [calibration]
+ * @returns {number} 估算距离（米）
+ */
+export function rssiToDistance(rssi, calibration = {}) {
+  const txPower = Number.isFinite(calibration.txPower) ? calibration.txPower : DEFAULT_TX_POWER;
+  const n = Number.isFinite(calibration.pathLossExponent) ? calibration.pathLossExponent : DEFAULT_PATH_LOSS_EXPONENT;
+  return Math.pow(10, (txPower - rssi) / (10 * n));
+}
+
+function weightedCentroid(anchors) {
+  let sumW = 0;
+  let x = 0;
+  let y = 0;
+  for (const a of anchors) {
+    const w = 1 / Math.max(a.distance, 0.1) ** 2;
+    sumW += w;
+    x += a.x * w;
+    y += a.y * w;
+  }
+  return { x: x / sumW, y: y / sumW };
+}
+
+/**
+ * 最小二乘三边定位：以最后一个锚点为基准线性化，解 2×2 法方程；锚点共线时返回 null
+ */
+function leastSquares(anchors) {
+  const ref = anchors[anchors.length - 1];
+  let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+  for (let i = 0; i < anchors.length - 1; i++) {
+    const p = anchors[i];
+    const ax = 2 * (ref.x - p.x);
+    const ay = 2 * (ref.y - p.y);
+    const b = p.distance ** 2 - ref.distance ** 2 - p.x ** 2 + ref.x ** 2 - p.y ** 2 + ref.y ** 2;
+    a11 += ax * ax;
+    a12 += ax * ay;
+    a22 += ay * ay;
+    b1 += ax * b;
+    b2 += ay * b;
+  }
+  const det = a11 * a22 - a12 * a12;
+  if (Math.abs(det) < 1e-9) return null;
+  return {
+    x: (a22 * b1 - a12 * b2) / det,
+    y: (a11 * b2 - a12 * b1) / det
+  };
+}
+
+/**
+ * 根据当前有效接收器估算信标位置
+ * 只使用与最强接收器同楼层、且已配置坐标的接收器；≥3 个做三边定位，2 个用加权质心，1 个取接收器位置
+ * @param {Array<{ deviceId: string, rssi: number }>} receivers - getValidReceivers 的结果（按 RSSI 降序）
+ * @param {Object} layout - loadReceiverLayout 的结果
+ * @returns {{ x: number, y: number, floor: *, uncertainty: number, method: string, receivers: Array<{ deviceId: string, rssi: number, distance: number }> }|null}
+ */
+export function estimatePosition(receivers, layout) {
+  const located = (receivers || [])
+    .filter(r => Number.isFinite(layout?.[r.deviceId]?.x) && Number.isFinite(layout?.[r.deviceId]?.y))
+    .map(r => {
+      const conf = layout[r.deviceId];
+      return {
+        deviceId: r.deviceId,
+        rssi: r.rssi,
+        x: conf.x,
+        y: conf.y,
+        floor: conf.floor ?? null,
+        distance: rssiToDistance(r.rssi, conf)
+      };
+    });
+  if (!located.length) return null;
+
+  const floor = located[0].floor;
+  const anchors = located.filter(a => a.floor === floor);
+  const round = (v) => Math.round(v * 100) / 100;
+
+  let point;
+  let method;
+  if (anchors.length >= 3) {
+    point = leastSquares(anchors);
+    method = 'trilateration';
+  }
+  if (!point && anchors.length >= 2) {
+    point = weightedCentroid(anchors);
+    method = 'weighted-centroid';
+  }
+  if (!point) {
+    point = { x: anchors[0].x, y: anchors[0].y };
+    method = 'nearest-receiver';
+  }
+
+  // 不确定半径：各锚点「几何距离 - 估算距离」的均方根；单锚点时即估算距离本身
+  let uncertainty;
+  if (anchors.length === 1) {
+    uncertainty = anchors[0].distance;
+  } else {
+    const sq = anchors.reduce((sum, a) => {
+      const residual = Math.hypot(point.x - a.x, point.y - a.y) - a.distance;
+      return sum + residual ** 2;
+    }, 0);
+    uncertainty = Math.sqrt(sq / anchors.length);
+  }
+
+  return {
+    x: round(point.x),
+    y: round(point.y),
+    floor,
+    uncertainty: round(Math.max(uncertainty, MIN_UNCERTAINTY)),
+    method,
+    receivers: anchors.map(a => ({ deviceId: a.deviceId, rssi: a.rssi, distance: round(a.distance) }))
+  };
+}
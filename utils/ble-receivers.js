@@ -0,0 +1,204 @@
+/**
+ * IM-SYAU-Core 接收器注册表（data/receivers.json 为随仓库分发的默认值，data/receivers.local.json 为本地修改）
+ * deviceId -> { name, site, exhibitionId, location: { x, y, floor }, calibration: { txPower, pathLossExponent }, enabled, neighbors? }
+ * 未登记的接收器沿用旧约定：device_id 即展区ID；停用的接收器不对应任何展区；
+ * site 为所属站点（未设置时为默认站点），接收器的上报写入该站点的数据；
+ * neighbors 为可直接走到的相邻接收器ID（可选，异常检测据此判断跳变是否合理）
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { updateJsonFile, applyOverrides, diffOverrides } from './ble-store.js';
+import { DEFAULT_SITE, isSiteId } from './ble-sites.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** 注册表默认值文件路径（纳入版本库，运行时不写入） */
+export const RECEIVER_REGISTRY_PATH = path.join(__dirname, '..', 'data', 'receivers.json');
+
+/** 本地注册表文件路径（不纳入版本库）：经 API 修改的接收器整条保存，删除的默认接收器记为 null */
+export const RECEIVER_REGISTRY_LOCAL_PATH = path.join(__dirname, '..', 'data', 'receivers.local.json');
+
+let registryCache = null;
+let registryStamp = '';
+
+/** 读取注册表文件，不存在时为空表；解析失败时抛出（读取方沿用缓存） */
+async function readRegistryFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+/**
+ * 读取注册表：默认值叠加本地修改（两个文件都未变化时复用缓存）
+ * @returns {Promise<Object<string, Object>>}
+ */
+export async function loadReceiverRegistry() {
+  try {
+    const files = [RECEIVER_REGISTRY_PATH, RECEIVER_REGISTRY_LOCAL_PATH];
+    const stamp = (await Promise.all(files.map(file => fs.stat(file).then(stat => stat.mtimeMs, () => 0)))).join('|');
+    if (registryCache && stamp === registryStamp) return registryCache;
+    const [defaults, overrides] = await Promise.all(files.map(readRegistryFile));
+    registryCache = applyOverrides(defaults, overrides);
+    registryStamp = stamp;
+    return registryCache;
+  } catch {
+    return registryCache || {};
+  }
+}
+
+/**
+ * 在本地注册表文件的写入队列内读取、修改并写回，并发修改不会互相覆盖；写入后清空缓存，下次读取时重新加载
+ * @param {(registry: Object) => Object|undefined} mutator - 接收当前注册表（默认值叠加本地修改），返回新的注册表，返回 undefined 时不写入
+ */
+async function updateReceiverRegistry(mutator) {
+  await updateJsonFile(RECEIVER_REGISTRY_LOCAL_PATH, async () => {
+    const [defaults, overrides] = await Promise.all([RECEIVER_REGISTRY_PATH, RECEIVER_REGISTRY_LOCAL_PATH].map(readRegistryFile));
+    const next = mutator(applyOverrides(defaults, overrides));
+    return next === undefined ? undefined : diffOverrides(defaults, next);
+  }, {});
+  registryCache = null;
+}
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * 校验接收器字段（用于新增 / 修改），只校验出现的字段
+ * @param {Object} input
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export function validateReceiver(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return '请求体应为对象';
+  if (input.name != null && typeof input.name !== 'string') return 'name 应为字符串';
+  if (input.exhibitionId != null && typeof input.exhibitionId !== 'string') return 'exhibitionId 应为字符串';
+  if (input.enabled != null && typeof input.enabled !== 'boolean') return 'enabled 应为布尔值';
+  if (input.site != null && !isSiteId(input.site)) return 'site 应为站点ID（字母、数字、下划线或短横线）';
+  if (input.neighbors != null && !(Array.isArray(input.neighbors) && input.neighbors.every(id => typeof id === 'string'))) {
+    return 'neighbors 应为接收器ID数组';
+  }
+  if (input.location != null) {
+    if (typeof input.location !== 'object') return 'location 应为对象';
+    for (const key of ['x', 'y']) {
+      if (input.location[key] != null && !isNum(input.location[key])) return `location.${key} 应为数字`;
+    }
+  }
+  if (input.calibration != null) {
+    if (typeof input.calibration !== 'object') return 'calibration 应为对象';
+    for (const key of ['txPower', 'pathLossExponent']) {
+      if (input.calibration[key] != null && !isNum(input.calibration[key])) return `calibration.${key} 应为数字`;
+    }
+    if (input.calibration.pathLossExponent != null && input.calibration.pathLossExponent <= 0) {
+      return 'calibration.pathLossExponent 应大于 0';
+    }
+  }
+  return null;
+}
+
+function mergeReceiver(deviceId, previous = {}, patch = {}) {
+  return {
+    name: patch.name ?? previous.name ?? deviceId,
+    site: patch.site ?? previous.site ?? DEFAULT_SITE,
+    exhibitionId: patch.exhibitionId !== undefined ? patch.exhibitionId : (previous.exhibitionId ?? null),
+    location: { ...(previous.location || {}), ...(patch.location || {}) },
+    calibration: { ...(previous.calibration || {}), ...(patch.calibration || {}) },
+    enabled: patch.enabled ?? previous.enabled ?? true,
+    ...((patch.neighbors ?? previous.neighbors) ? { neighbors: patch.neighbors ?? previous.neighbors } : {})
+  };
+}
+
+/**
+ * 新增或修改接收器（与已有字段合并）
+ * @param {string} deviceId
+ * @param {Object} patch
+ * @returns {Promise<Object>} 合并后的接收器
+ */
+export async function upsertReceiver(deviceId, patch) {
+  let entry;
+  await updateReceiverRegistry((registry) => {
+    entry = mergeReceiver(deviceId, registry[deviceId], patch);
+    return { ...registry, [deviceId]: entry };
+  });
+  return entry;
+}
+
+/**
+ * 删除接收器
+ * @param {string} deviceId
+ * @returns {Promise<boolean>}
+ */
+export async function removeReceiver(deviceId) {
+  let removed = false;
+  await updateReceiverRegistry((registry) => {
+    if (!registry[deviceId]) return undefined;
+    removed = true;
+    delete registry[deviceId];
+    return registry;
+  });
+  return removed;
+}
+
+/**
+ * 接收器 -> 展区ID
+ * @param {Object} registry
+ * @param {string} deviceId
+ * @returns {string|null} 停用或未绑定展区时返回 null
+ */
+export function resolveExhibitionId(registry, deviceId) {
+  const entry = registry?.[deviceId];
+  if (!entry) return deviceId;
+  if (entry.enabled === false) return null;
+  return entry.exhibitionId || null;
+}
+
+/**
+ * 接收器所属站点（未登记或未设置时为默认站点）
+ * @param {Object} registry
+ * @param {string} deviceId
+ * @returns {string}
+ */
+export function resolveReceiverSite(registry, deviceId) {
+  return registry?.[deviceId]?.site || DEFAULT_SITE;
+}
+
+/**
+ * 某站点的接收器判定函数（用于按站点过滤 RSSI 时序、健康状态等按接收器保存的全局数据）
+ * @param {Object} registry
+ * @param {string} site
+ * @returns {(deviceId: string) => boolean}
+ */
+export function siteReceiverFilter(registry, site) {
+  return (deviceId) => resolveReceiverSite(registry, deviceId) === site;
+}
+
+/**
+ * 接收器是否启用（未登记视为启用）
+ * @param {Object} registry
+ * @param {string} deviceId
+ * @returns {boolean}
+ */
+export function isReceiverEnabled(registry, deviceId) {
+  return registry?.[deviceId]?.enabled !== false;
+}
+
+/**
+ * 转为定位用的布局：deviceId -> { x, y, floor, txPower, pathLossExponent }（跳过停用的接收器）
+ * @param {Object} registry
+ * @returns {Object}
+ */
+export function toReceiverLayout(registry) {
+  const layout = {};
+  for (const [deviceId, entry] of Object.entries(registry || {})) {
+    if (entry.enabled === false) continue;
+    layout[deviceId] = {
+      x: entry.location?.x,
+      y: entry.location?.y,
+      floor: entry.location?.floor,
+      txPower: entry.calibration?.txPower,
+      pathLossExponent: entry.calibration?.pathLossExponent
+    };
+  }
+  return layout;
+}
@@ -0,0 +1,169 @@
+/**
+ * IM-SYAU-Core 蓝牙数据重置、备份恢复与撤销
+ * 重置前把当前数据备份到站点目录下的 reset-backup.json（只保留最近一次，默认站点为 data/blues/reset-backup.json），
+ * #蓝牙撤销重置 或 API 可据此恢复；定时 / 手动备份的创建与恢复也在此（备份文件读写见 ble-backup）。
+ * 重置、撤销与恢复都只作用于一个站点，内存中的 RSSI 时序、未完成扫描与异常状态只清理该站点接收器的部分。
+ * #蓝牙重置 的二次确认状态也在此保存（插件实例可能按消息创建，不能存在实例上）
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  BLE_DATA_DIR,
+  createEmptyData,
+  getBLEData,
+  updateBLEData,
+  flushBLEData,
+  readJsonFile,
+  writeJsonFile
+} from './ble-store.js';
+import { clearRssiHistory } from './ble-history.js';
+import { clearPendingScans } from './ble-scan.js';
+import { publishBLEUpdate } from './ble-events.js';
+import { saveBackup, loadBackup } from './ble-backup.js';
+import { clearAnomalies } from './ble-anomaly.js';
+import { DEFAULT_SITE, getSiteBLEDir } from './ble-sites.js';
+import { loadReceiverRegistry, siteReceiverFilter } from './ble-receivers.js';
+
+/** 默认站点的重置前备份文件 */
+export const RESET_BACKUP_PATH = path.join(BLE_DATA_DIR, 'reset-backup.json');
+
+/**
+ * 站点的重置前备份文件
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {string}
+ */
+export function getResetBackupPath(site = DEFAULT_SITE) {
+  return path.join(getSiteBLEDir(site), 'reset-backup.json');
+}
+
+/** 清理站点在内存中的状态并通知订阅方 */
+async function clearSiteState(site, { history = true } = {}) {
+  const filter = siteReceiverFilter(await loadReceiverRegistry(), site);
+  clearPendingScans(filter);
+  if (history) {
+    clearRssiHistory(filter);
+    clearAnomalies(site, filter);
+  }
+  publishBLEUpdate({ deviceId: null, site, beacons: [], time: Date.now(), reset: true });
+}
+
+/** 确认键 -> 过期时间 */
+const confirmations = new Map();
+
+/**
+ * 登记一次待确认的重置
+ * @param {string} key - 发起人与站点（如 `${用户ID}|${站点}`），只有同一人对同一站点的确认有效
+ * @param {number} window - 确认有效期（毫秒）
+ * @param {number} [now=Date.now()]
+ * @returns {number} 过期时间
+ */
+export function requestResetConfirmation(key, window, now = Date.now()) {
+  for (const [k, until] of confirmations) {
+    if (until < now) confirmations.delete(k);
+  }
+  confirmations.set(key, now + window);
+  return now + window;
+}
+
+/**
+ * 消耗待确认的重置
+ * @param {string} key
+ * @param {number} [now=Date.now()]
+ * @returns {boolean} 有效期内登记过时返回 true（每次登记只能确认一次）
+ */
+export function consumeResetConfirmation(key, now = Date.now()) {
+  const until = confirmations.get(key);
+  confirmations.delete(key);
+  return until != null && now <= until;
+}
+
+/**
+ * 备份站点当前数据后清空（备份写入失败时不清空）
+ * @param {{ by?: string, source?: string, site?: string }} [meta] - 操作人与来源（plugin / api），记录在备份中；site 默认为默认站点
+ * @returns {Promise<{ time: number, by: string|null, source: string|null, site: string, devices: number, beacons: number }>} 备份概况
+ */
+export async function resetBLEStore({ by = null, source = null, site = DEFAULT_SITE } = {}) {
+  let summary = null;
+  await updateBLEData(async (data) => {
+    const time = Date.now();
+    await writeJsonFile(getResetBackupPath(site), { time, by, source, site, data });
+    summary = {
+      time,
+      by,
+      source,
+      site,
+      devices: Object.keys(data.devices).length,
+      beacons: Object.keys(data.beacons).length
+    };
+    return createEmptyData();
+  }, site);
+  await flushBLEData(site);
+  await clearSiteState(site);
+  return summary;
+}
+
+/**
+ * 站点最近一次重置的备份
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<{ time: number, by: string|null, source: string|null, data: Object }|null>}
+ */
+export async function loadResetBackup(site = DEFAULT_SITE) {
+  const backup = await readJsonFile(getResetBackupPath(site), null);
+  return backup?.data && typeof backup.data === 'object' ? backup : null;
+}
+
+/**
+ * 撤销站点最近一次重置：用备份整体替换当前数据（重置后新收到的上报会被覆盖），成功后删除备份
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<Object|null>} 备份概况，无备份时返回 null
+ */
+export async function undoReset(site = DEFAULT_SITE) {
+  const backup = await loadResetBackup(site);
+  if (!backup) return null;
+  await updateBLEData(() => backup.data, site);
+  await flushBLEData(site);
+  await fs.unlink(getResetBackupPath(site)).catch(() => {});
+  await clearSiteState(site, { history: false });
+  return {
+    time: backup.time,
+    by: backup.by,
+    source: backup.source,
+    site,
+    devices: Object.keys(backup.data.devices || {}).length,
+    beacons: Object.keys(backup.data.beacons || {}).length
+  };
+}
+
+/**
+ * 备份站点当前数据
+ * @param {{ type?: 'auto'|'manual', note?: string, site?: string }} [options]
+ * @returns {Promise<Object>} 备份概况，同 saveBackup
+ */
+export async function backupBLEData(options = {}) {
+  return saveBackup(await getBLEData(options.site), options);
+}
+
+/**
+ * 用站点的备份替换其当前数据（替换前先把当前数据存为 pre-restore 备份）
+ * @param {string} id
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<{ id: string, time: number, type: string, note: string|null, devices: number, beacons: number, previous: string }|null>}
+ *   previous 为替换前数据的备份ID；备份不存在或已损坏时返回 null
+ */
+export async function restoreBLEBackup(id, site = DEFAULT_SITE) {
+  const backup = await loadBackup(id, site);
+  if (!backup) return null;
+  const previous = await saveBackup(await getBLEData(site), { type: 'pre-restore', note: `恢复 ${id} 前`, site });
+  await updateBLEData(() => backup.data, site);
+  await flushBLEData(site);
+  await clearSiteState(site);
+  return {
+    id: backup.id,
+    time: backup.time,
+    type: backup.type,
+    note: backup.note,
+    devices: Object.keys(backup.data.devices).length,
+    beacons: Object.keys(backup.data.beacons).length,
+    previous: previous.id
+  };
+}
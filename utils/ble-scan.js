@@ -0,0 +1,105 @@
+/**
+ * IM-SYAU-Core 分批扫描重组
+ * 接收器一轮扫描的信标较多时分多批上报（batch / total_batches），此处按设备收齐一轮后整体提交；
+ * 只有完整的一轮才能据此判定哪些信标已不在该接收器附近，超时未收齐的一轮按部分结果提交
+ */
+
+/** 一轮扫描从收到第一批起多久（毫秒）未收齐即按部分结果提交 */
+export const SCAN_ASSEMBLY_TIMEOUT = 5000;
+
+/** 重组键（deviceId，回放事件为 replay|deviceId）-> { deviceId, total, batches: Map<batch, beacons[]>, startedAt, meta } */
+const pending = new Map();
+
+function buildScan(scan, complete) {
+  // 同一信标出现在多批时以后一批为准
+  const merged = new Map();
+  for (const batch of [...scan.batches.keys()].sort((a, b) => a - b)) {
+    for (const beacon of scan.batches.get(batch)) {
+      if (beacon?.mac) merged.set(beacon.mac, beacon);
+    }
+  }
+  return {
+    deviceId: scan.deviceId,
+    complete,
+    total: scan.total,
+    received: [...scan.batches.keys()].sort((a, b) => a - b),
+    beacons: [...merged.values()],
+    startedAt: scan.startedAt,
+    meta: scan.meta
+  };
+}
+
+/**
+ * 加入一批上报
+ * @param {string} deviceId
+ * @param {{ batch?: number, total_batches?: number, beacons?: Array<Object> }} report
+ * @param {Object} [meta] - 随扫描保存的设备信息（名称、类型等），提交时原样返回；meta.replayed 为 true 时与该接收器的真实上报分开重组
+ * @param {number} [now=Date.now()]
+ * @returns {Array<{ deviceId: string, complete: boolean, total: number, received: number[], beacons: Array<Object>, startedAt: number, meta: Object }>}
+ *   可提交的扫描：收到新一轮第一批而上一轮未收齐时，上一轮按部分结果一并返回
+ */
+export function addScanBatch(deviceId, report, meta = {}, now = Date.now()) {
+  const ready = [];
+  const total = Number(report.total_batches) > 1 ? Math.floor(Number(report.total_batches)) : 1;
+  const batch = total > 1 ? Math.min(Math.max(Math.floor(Number(report.batch)) || 1, 1), total) : 1;
+
+  const key = meta.replayed ? `replay|${deviceId}` : deviceId;
+  let scan = pending.get(key);
+  if (scan && (scan.total !== total || scan.batches.has(batch) || batch === 1)) {
+    pending.delete(key);
+    ready.push(buildScan(scan, false));
+    scan = null;
+  }
+  if (!scan) {
+    scan = { deviceId, total, batches: new Map(), startedAt: now, meta };
+    pending.set(key, scan);
+  }
+  scan.meta = meta;
+  scan.batches.set(batch, report.beacons || []);
+
+  if (scan.batches.size === total) {
+    pending.delete(key);
+    ready.push(buildScan(scan, true));
+  }
+  return ready;
+}
+
+/**
+ * 取出超时未收齐的扫描（按部分结果提交）
+ * @param {number} [now=Date.now()]
+ * @param {number} [timeout=SCAN_ASSEMBLY_TIMEOUT]
+ * @returns {Array<Object>} 同 addScanBatch 的返回项，complete 为 false
+ */
+export function expireScans(now = Date.now(), timeout = SCAN_ASSEMBLY_TIMEOUT) {
+  const expired = [];
+  for (const [key, scan] of pending) {
+    if (now - scan.startedAt > timeout) {
+      pending.delete(key);
+      expired.push(buildScan(scan, false));
+    }
+  }
+  return expired;
+}
+
+/**
+ * 正在重组的扫描概况
+ * @returns {Array<{ deviceId: string, total: number, received: number[], startedAt: number }>}
+ */
+export function getPendingScans() {
+  return [...pending.values()].map(scan => ({
+    deviceId: scan.deviceId,
+    total: scan.total,
+    received: [...scan.batches.keys()].sort((a, b) => a - b),
+    startedAt: scan.startedAt
+  }));
+}
+
+/**
+ * 丢弃未完成的扫描（数据重置时使用）
+ * @param {(deviceId: string) => boolean} [receiverFilter] - 只丢弃这些接收器的扫描（如重置的站点），默认全部
+ */
+export function clearPendingScans(receiverFilter) {
+  for (const [key, scan] of [...pending]) {
+    if (!receiverFilter || receiverFilter(scan.deviceId)) pending.delete(key);
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * IM-SYAU-Core 信标上报（device.ble_beacon_batch）格式校验与规范化
+ * 每批上报先按版本化的格式校验：MAC 统一为大写冒号分隔，RSSI 统一为范围内的数值，online 统一为布尔值；
+ * 不合规的条目丢弃并按接收器、原因计数（整批不合规时整批丢弃），计数只在内存，自本次启动起累计
+ */
+
+/** 当前上报格式版本；上报未带 schema_version 时按此版本处理 */
+export const BATCH_SCHEMA_VERSION = 1;
+
+/** 支持的上报格式版本 */
+export const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+/** RSSI 合法范围（dBm），含 min、不含 max：0 为固件未取到信号时的占位值 */
+export const RSSI_RANGE = { min: -127, max: 0 };
+
+/** 单批最多信标条目数，超出部分丢弃 */
+export const MAX_BEACONS_PER_BATCH = 500;
+
+/**
+ * 丢弃原因
+ * 整批：unsupported_version / invalid_batch；单条：not_object / invalid_mac / invalid_rssi / rssi_out_of_range /
+ * invalid_online / invalid_name / duplicate_mac（同批重复，保留后一条）/ too_many_beacons
+ */
+export const REJECT_REASONS = [
+  'unsupported_version',
+  'invalid_batch',
+  'not_object',
+  'invalid_mac',
+  'invalid_rssi',
+  'rssi_out_of_range',
+  'invalid_online',
+  'invalid_name',
+  'duplicate_mac',
+  'too_many_beacons'
+];
+
+const MAC_PATTERN = /^[0-9A-F]{12}$/;
+
+/** deviceId -> { batches, rejectedBatches, entries, rejected, reasons, lastRejected } */
+const stats = new Map();
+const statsSince = Date.now();
+
+/**
+ * 规范化 MAC：接受冒号 / 短横线 / 点分隔或不分隔的 12 位十六进制，统一为大写冒号分隔
+ * @param {*} value
+ * @returns {string|null} 无法识别时返回 null
+ */
+export function normalizeMac(value) {
+  if (typeof value !== 'string') return null;
+  const hex = value.trim().toUpperCase().replace(/[:\-.\s]/g, '');
+  if (!MAC_PATTERN.test(hex)) return null;
+  return hex.match(/.{2}/g).join(':');
+}
+
+/**
+ * 规范化 RSSI：数值、数字字符串或 { average, current }（优先 average）
+ * @param {*} value
+ * @returns {{ rssi: number }|{ reason: string }}
+ */
+export function normalizeRssi(value) {
+  let raw = value;
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    raw = raw.average ?? raw.current;
+  }
+  if (typeof raw === 'string' && raw.trim() !== '') raw = Number(raw);
+  if (typeof raw !== 'number' || !Number.isFinite(raw)) return { reason: 'invalid_rssi' };
+  if (raw < RSSI_RANGE.min || raw >= RSSI_RANGE.max) return { reason: 'rssi_out_of_range' };
+  return { rssi: raw };
+}
+
+/**
+ * 规范化 online：布尔值、0 / 1、'true' / 'false' / '1' / '0'；未给出时视为在线（出现在本批即被扫描到）
+ * @param {*} value
+ * @returns {boolean|null} 无法识别时返回 null
+ */
+export function normalizeOnline(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'boolean') return value;
+  if (value === 1 || value === '1' || value === 'true') return true;
+  if (value === 0 || value === '0' || value === 'false') return false;
+  return null;
+}
+
+function normalizeBeacon(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return { reason: 'not_object' };
+  const mac = normalizeMac(entry.mac);
+  if (!mac) return { reason: 'invalid_mac' };
+  if (entry.name != null && typeof entry.name !== 'string') return { reason: 'invalid_name', mac };
+  const rssi = normalizeRssi(entry.rssi);
+  if (rssi.reason) return { reason: rssi.reason, mac };
+  const online = normalizeOnline(entry.online);
+  if (online === null) return { reason: 'invalid_online', mac };
+  return { beacon: { mac, name: entry.name?.trim() || null, rssi: rssi.rssi, online } };
+}
+
+const positiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) >= 1;
+
+/**
+ * 校验并规范化一批上报
+ * @param {Object} report - e.event_data
+ * @returns {{ ok: boolean, version: number|null, batch: number, total_batches: number,
+ *   beacons: Array<{ mac: string, name: string|null, rssi: number, online: boolean }>,
+ *   rejected: Array<{ index: number|null, reason: string, mac?: string }> }}
+ *   ok 为 false 表示整批丢弃（rejected 中 index 为 null），此时 beacons 为空
+ */
+export function validateBeaconBatch(report) {
+  const fail = (reason, version = null) => ({
+    ok: false, version, batch: 1, total_batches: 1, beacons: [], rejected: [{ index: null, reason }]
+  });
+  if (!report || typeof report !== 'object' || Array.isArray(report)) return fail('invalid_batch');
+
+  const version = report.schema_version ?? BATCH_SCHEMA_VERSION;
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) return fail('unsupported_version', version);
+
+  const { batch = 1, total_batches: total = 1 } = report;
+  if (!positiveInteger(batch) || !positiveInteger(total) || Number(batch) > Number(total)) {
+    return fail('invalid_batch', version);
+  }
+  const list = report.beacons ?? [];
+  if (!Array.isArray(list)) return fail('invalid_batch', version);
+
+  const rejected = [];
+  // 同批重复的 MAC 以后一条为准，前一条计为重复
+  const accepted = new Map();
+  list.forEach((entry, index) => {
+    if (index >= MAX_BEACONS_PER_BATCH) {
+      rejected.push({ index, reason: 'too_many_beacons' });
+      return;
+    }
+    const result = normalizeBeacon(entry);
+    if (result.reason) {
+      rejected.push({ index, reason: result.reason, ...(result.mac ? { mac: result.mac } : {}) });
+      return;
+    }
+    const previous = accepted.get(result.beacon.mac);
+    if (previous) rejected.push({ index: previous.index, reason: 'duplicate_mac', mac: result.beacon.mac });
+    accepted.set(result.beacon.mac, { index, beacon: result.beacon });
+  });
+
+  return {
+    ok: true,
+    version,
+    batch: Number(batch),
+    total_batches: Number(total),
+    beacons: [...accepted.values()].map(item => item.beacon),
+    rejected
+  };
+}
+
+/**
+ * 记录一批上报的校验结果
+ * @param {string} deviceId
+ * @param {ReturnType<typeof validateBeaconBatch>} result
+ * @param {number} [now=Date.now()]
+ */
+export function recordBatchValidation(deviceId, result, now = Date.now()) {
+  if (!stats.has(deviceId)) {
+    stats.set(deviceId, { batches: 0, rejectedBatches: 0, entries: 0, rejected: 0, reasons: {}, lastRejected: null });
+  }
+  const item = stats.get(deviceId);
+  item.batches++;
+  if (!result.ok) item.rejectedBatches++;
+  item.entries += result.beacons.length + result.rejected.filter(r => r.index != null).length;
+  for (const { index, reason } of result.rejected) {
+    if (index != null) item.rejected++;
+    item.reasons[reason] = (item.reasons[reason] || 0) + 1;
+  }
+  if (result.rejected.length) {
+    item.lastRejected = { time: now, reason: result.rejected[result.rejected.length - 1].reason };
+  }
+}
+
+/**
+ * 各接收器的丢弃计数
+ * @param {(deviceId: string) => boolean} [receiverFilter] - 只统计这些接收器（如某站点的接收器）
+ * @returns {{ since: number, version: number, batches: number, rejectedBatches: number, entries: number, rejected: number,
+ *   reasons: Object<string, number>, devices: Array<Object> }} devices 只列出有丢弃的接收器，丢弃多的在前
+ */
+export function getRejectionStats(receiverFilter) {
+  const total = { batches: 0, rejectedBatches: 0, entries: 0, rejected: 0, reasons: {} };
+  const devices = [];
+  for (const [deviceId, item] of stats) {
+    if (receiverFilter && !receiverFilter(deviceId)) continue;
+    total.batches += item.batches;
+    total.rejectedBatches += item.rejectedBatches;
+    total.entries += item.entries;
+    total.rejected += item.rejected;
+    for (const [reason, count] of Object.entries(item.reasons)) {
+      total.reasons[reason] = (total.reasons[reason] || 0) + count;
+    }
+    if (item.rejected || item.rejectedBatches) {
+      devices.push({ deviceId, ...item, reasons: { ...item.reasons } });
+    }
+  }
+  devices.sort((a, b) => (b.rejected + b.rejectedBatches) - (a.rejected + a.rejectedBatches) || a.deviceId.localeCompare(b.deviceId));
+  return { since: statsSince, version: BATCH_SCHEMA_VERSION, ...total, devices };
+}
@@ -0,0 +1,282 @@
+/**
+ * IM-SYAU-Core 展区参观会话
+ * 以最强有效接收器判定信标所在展区（带滞回，避免信号抖动时来回切换），记录进入 / 离开与停留时长。
+ * 进行中的会话只在内存；结束的会话按离开日期追加到站点目录下的 sessions/YYYY-MM-DD.ndjson（默认站点为 data/blues/sessions/），
+ * 保留天数见 ble-config 的 sessionRetentionDays。信标被另一站点的接收器看到时，结束原站点的会话并在新站点开始
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { BLE_DATA_DIR } from './ble-store.js';
+import { getBLEConfig } from './ble-config.js';
+import { DEFAULT_SITE, getSiteBLEDir } from './ble-sites.js';
+import { dayKey } from './ble-visitor-stats.js';
+import { isArchiveDate } from './ble-archive.js';
+
+/** 默认站点的已结束会话目录（每天一个文件，每行一个 JSON） */
+export const SESSIONS_DIR = path.join(BLE_DATA_DIR, 'sessions');
+
+/**
+ * 站点的已结束会话目录
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {string}
+ */
+export function getSessionsDir(site = DEFAULT_SITE) {
+  return path.join(getSiteBLEDir(site), 'sessions');
+}
+
+/** 一天的毫秒数：按离开日期分文件，查询时多读 to 之后一天，覆盖跨午夜的会话 */
+const DAY = 24 * 60 * 60 * 1000;
+
+/** 新接收器需比当前接收器强出的 dB 数，才开始考虑切换 */
+export const SESSION_HYSTERESIS_DB = 5;
+
+/** 新接收器持续领先多久（毫秒）才确认切换 */
+export const SESSION_SWITCH_CONFIRM = 4000;
+
+/** 信标多久（毫秒）没有任何有效接收器即视为离开：与检测超时一致，取配置 staleThreshold */
+const leaveTimeout = () => getBLEConfig().staleThreshold;
+
+/** mac -> { beacon, beaconName, site, receiverId, exhibitionId, enter, lastSeen, candidate } */
+const active = new Map();
+
+let appendQueue = Promise.resolve();
+let sweepTimer = null;
+let sweepInterval = 0;
+
+function appendSession(site, record) {
+  const line = JSON.stringify(record) + '\n';
+  const dir = getSessionsDir(site);
+  appendQueue = appendQueue
+    .then(async () => {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.appendFile(path.join(dir, `${dayKey(record.leave)}.ndjson`), line);
+    })
+    .catch(() => {});
+  return appendQueue;
+}
+
+/**
+ * 列出站点的每日会话文件
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<string[]>} 日期（YYYY-MM-DD）升序
+ */
+export async function listSessionDays(site = DEFAULT_SITE) {
+  let files = [];
+  try {
+    files = await fs.readdir(getSessionsDir(site));
+  } catch {
+    return [];
+  }
+  return files
+    .filter(file => file.endsWith('.ndjson'))
+    .map(file => file.replace(/\.ndjson$/, ''))
+    .filter(isArchiveDate)
+    .sort();
+}
+
+/**
+ * 删除超过保留天数的每日会话文件
+ * @param {number} retentionDays
+ * @param {number} [now=Date.now()]
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<number>} 删除的文件数
+ */
+export async function pruneSessions(retentionDays, now = Date.now(), site = DEFAULT_SITE) {
+  await appendQueue;
+  const cutoff = new Date(now);
+  cutoff.setHours(0, 0, 0, 0);
+  cutoff.setDate(cutoff.getDate() - retentionDays);
+  const cutoffKey = dayKey(cutoff);
+  let removed = 0;
+  for (const date of await listSessionDays(site)) {
+    if (date >= cutoffKey) continue;
+    await fs.unlink(path.join(getSessionsDir(site), `${date}.ndjson`)).catch(() => {});
+    removed++;
+  }
+  return removed;
+}
+
+function closeSession(session, leaveTime) {
+  active.delete(session.beacon);
+  const record = {
+    beacon: session.beacon,
+    beaconName: session.beaconName,
+    receiverId: session.receiverId,
+    exhibitionId: session.exhibitionId,
+    enter: session.enter,
+    leave: leaveTime,
+    dwell: Math.max(0, leaveTime - session.enter)
+  };
+  appendSession(session.site, record);
+  return { type: 'leave', site: session.site, ...record };
+}
+
+function openSession(mac, beaconName, site, receiverId, exhibitionId, now) {
+  const session = {
+    beacon: mac,
+    beaconName,
+    site,
+    receiverId,
+    exhibitionId,
+    enter: now,
+    lastSeen: now,
+    candidate: null
+  };
+  active.set(mac, session);
+  return { type: 'enter', site, beacon: mac, beaconName, receiverId, exhibitionId, enter: now };
+}
+
+/** 按当前 staleThreshold 巡检；配置修改后在下一次上报时按新间隔重新设置定时器 */
+function ensureSweepTimer() {
+  const interval = leaveTimeout();
+  if (sweepTimer && sweepInterval === interval) return;
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepInterval = interval;
+  sweepTimer = setInterval(() => sweepSessions(), interval);
+  sweepTimer.unref?.();
+}
+
+/**
+ * 根据信标当前有效接收器更新会话
+ * @param {string} mac
+ * @param {string} beaconName
+ * @param {Array<{ deviceId: string, rssi: number }>} receivers - getValidReceivers 的结果（按 RSSI 降序）
+ * @param {number} [now=Date.now()]
+ * @param {(receiverId: string) => (string|null)} [exhibitionOf] - 接收器 -> 展区ID，默认接收器ID即展区ID；返回空表示该接收器不属于展区
+ * @param {string} [site=DEFAULT_SITE] - receivers 所属站点
+ * @returns {Array<Object>} 本次产生的 enter / leave 事件
+ */
+export function trackBeacon(mac, beaconName, receivers, now = Date.now(), exhibitionOf = (id) => id, site = DEFAULT_SITE) {
+  ensureSweepTimer();
+  const events = [];
+  const located = (receivers || []).filter(r => exhibitionOf(r.deviceId));
+  const strongest = located[0];
+  let session = active.get(mac);
+
+  if (!strongest) return events;
+
+  // 换了站点：原站点的会话在最后一次看到时结束
+  if (session && session.site !== site) {
+    events.push(closeSession(session, session.lastSeen));
+    session = null;
+  }
+
+  if (!session) {
+    events.push(openSession(mac, beaconName, site, strongest.deviceId, exhibitionOf(strongest.deviceId), now));
+    return events;
+  }
+
+  session.lastSeen = now;
+  if (beaconName) session.beaconName = beaconName;
+  if (strongest.deviceId === session.receiverId) {
+    session.candidate = null;
+    return events;
+  }
+
+  const current = located.find(r => r.deviceId === session.receiverId);
+  const currentRssi = current ? current.rssi : -Infinity;
+  if (strongest.rssi < currentRssi + SESSION_HYSTERESIS_DB) {
+    session.candidate = null;
+    return events;
+  }
+
+  if (session.candidate?.receiverId !== strongest.deviceId) {
+    session.candidate = { receiverId: strongest.deviceId, since: now };
+    return events;
+  }
+
+  if (now - session.candidate.since >= SESSION_SWITCH_CONFIRM) {
+    // 切换时刻取候选接收器开始领先的时间
+    const switchTime = session.candidate.since;
+    const exhibitionId = exhibitionOf(strongest.deviceId);
+    events.push(closeSession(session, switchTime));
+    events.push(openSession(mac, session.beaconName, site, strongest.deviceId, exhibitionId, switchTime));
+    active.get(mac).lastSeen = now;
+  }
+  return events;
+}
+
+/**
+ * 结束超时未见的会话（离开时间取最后一次看到的时间）
+ * @param {number} [now=Date.now()]
+ * @returns {Array<Object>} leave 事件
+ */
+export function sweepSessions(now = Date.now()) {
+  const events = [];
+  for (const session of [...active.values()]) {
+    if (now - session.lastSeen > leaveTimeout()) {
+      events.push(closeSession(session, session.lastSeen));
+    }
+  }
+  return events;
+}
+
+/**
+ * 查询会话（含进行中的会话，leave 为 null、dwell 为截至目前的时长）
+ * 时间范围按会话与 [from, to] 有交集筛选；只读取离开日期落在范围内（及 to 之后一天）的每日文件，不给出范围时读取全部
+ * @param {{ beacon?: string, exhibition?: string, from?: number, to?: number, site?: string }} [filter] - site 默认为默认站点
+ * @returns {Promise<Array<Object>>} 按进入时间升序
+ */
+export async function querySessions({ beacon, exhibition, from, to, site = DEFAULT_SITE } = {}) {
+  await appendQueue;
+  const now = Date.now();
+  const sessions = [];
+  const fromKey = from == null ? null : dayKey(from);
+  const toKey = to == null ? null : dayKey(to + DAY);
+  for (const date of await listSessionDays(site)) {
+    if ((fromKey && date < fromKey) || (toKey && date > toKey)) continue;
+    let content;
+    try {
+      content = await fs.readFile(path.join(getSessionsDir(site), `${date}.ndjson`), 'utf-8');
+    } catch {
+      continue;
+    }
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        sessions.push(JSON.parse(line));
+      } catch {}
+    }
+  }
+  for (const s of active.values()) {
+    if (s.site !== site) continue;
+    sessions.push({
+      beacon: s.beacon,
+      beaconName: s.beaconName,
+      receiverId: s.receiverId,
+      exhibitionId: s.exhibitionId,
+      enter: s.enter,
+      leave: null,
+      dwell: now - s.enter
+    });
+  }
+  return sessions
+    .filter(s => !beacon || s.beacon === beacon || s.beaconName === beacon)
+    .filter(s => !exhibition || s.exhibitionId === exhibition)
+    .filter(s => from == null || (s.leave ?? now) >= from)
+    .filter(s => to == null || s.enter <= to)
+    .sort((a, b) => a.enter - b.enter);
+}
+
+/**
+ * 按展区汇总会话
+ * @param {Array<Object>} sessions - querySessions 的结果
+ * @returns {Array<{ exhibitionId: string, visits: number, visitors: number, totalDwell: number, avgDwell: number, maxDwell: number, active: number }>} 按总停留时长降序
+ */
+export function summarizeSessions(sessions) {
+  const groups = new Map();
+  for (const s of sessions) {
+    if (!groups.has(s.exhibitionId)) {
+      groups.set(s.exhibitionId, { exhibitionId: s.exhibitionId, visits: 0, beacons: new Set(), totalDwell: 0, maxDwell: 0, active: 0 });
+    }
+    const g = groups.get(s.exhibitionId);
+    g.visits++;
+    g.beacons.add(s.beacon);
+    g.totalDwell += s.dwell;
+    g.maxDwell = Math.max(g.maxDwell, s.dwell);
+    if (s.leave == null) g.active++;
+  }
+  return [...groups.values()]
+    .map(({ beacons, ...g }) => ({ ...g, visitors: beacons.size, avgDwell: g.visits ? g.totalDwell / g.visits : 0 }))
+    .sort((a, b) => b.totalDwell - a.totalDwell);
+}
@@ -0,0 +1,115 @@
+/**
+ * IM-SYAU-Core 站点（场馆）
+ * 同一套服务可同时服务多个场馆（如昆虫博物馆与标本馆）：站点在 data/sites.json 登记，接收器通过注册表的 site 归属站点，
+ * 蓝牙数据、会话、参观统计、指纹库、归档与备份按站点分目录存放。默认站点 default 沿用原有路径，
+ * 其他站点分别位于 data/blues/sites/<站点ID>/、data/sites/<站点ID>/（知识库）与 www/kb/data/sites/<站点ID>/（展区页面数据）
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import paths from '#utils/paths.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CORE_DIR = path.join(__dirname, '..');
+
+/** 默认站点：未指定站点的请求、未登记或未设置 site 的接收器都归入该站点 */
+export const DEFAULT_SITE = 'default';
+
+/**
+ * 回放站点：#蓝牙回放 与 /api/ble/replay 发出的事件只写入该站点（data/blues/sites/replay/），与真实数据隔离；
+ * 不在 sites.json 登记，不参与备份、清理、接收器监测与指标，每次开始回放时清空
+ */
+export const REPLAY_SITE = 'replay';
+
+/** 站点登记文件：站点ID -> { name } */
+export const SITE_REGISTRY_PATH = path.join(CORE_DIR, 'data', 'sites.json');
+
+const SITE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+
+let registryCache = null;
+let registryMtime = 0;
+
+/**
+ * 是否为合法的站点ID（字母、数字、下划线、短横线，至多 32 位，用作目录名）
+ * @param {*} id
+ * @returns {boolean}
+ */
+export function isSiteId(id) {
+  return typeof id === 'string' && SITE_ID_PATTERN.test(id);
+}
+
+/**
+ * 读取站点登记（文件未变化时复用缓存；始终包含默认站点）
+ * @returns {Promise<Object<string, { name: string }>>}
+ */
+export async function loadSiteRegistry() {
+  try {
+    const stat = await fs.stat(SITE_REGISTRY_PATH);
+    if (registryCache && stat.mtimeMs === registryMtime) return registryCache;
+    const data = JSON.parse(await fs.readFile(SITE_REGISTRY_PATH, 'utf-8'));
+    const sites = {};
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      for (const [id, entry] of Object.entries(data)) {
+        if (isSiteId(id) && id !== REPLAY_SITE) sites[id] = { ...(entry && typeof entry === 'object' ? entry : {}), name: entry?.name || id };
+      }
+    }
+    registryCache = { [DEFAULT_SITE]: { name: DEFAULT_SITE }, ...sites };
+    registryMtime = stat.mtimeMs;
+    return registryCache;
+  } catch {
+    return registryCache || { [DEFAULT_SITE]: { name: DEFAULT_SITE } };
+  }
+}
+
+/**
+ * 已登记的站点ID
+ * @returns {Promise<string[]>} 默认站点在前
+ */
+export async function listSiteIds() {
+  return Object.keys(await loadSiteRegistry());
+}
+
+/**
+ * 解析请求 / 命令中的站点参数（站点ID或名称，也可为回放站点 replay）
+ * @param {*} value - 为空时取默认站点
+ * @returns {Promise<{ site: string, name: string }|{ error: string }>}
+ */
+export async function resolveSite(value) {
+  const sites = await loadSiteRegistry();
+  const input = value == null ? '' : String(value).trim();
+  if (!input) return { site: DEFAULT_SITE, name: sites[DEFAULT_SITE].name };
+  if (sites[input]) return { site: input, name: sites[input].name };
+  if (input === REPLAY_SITE) return { site: REPLAY_SITE, name: '回放' };
+  const byName = Object.entries(sites).find(([, entry]) => entry.name === input);
+  if (byName) return { site: byName[0], name: byName[1].name };
+  return { error: `未知站点: ${input}（可用: ${Object.keys(sites).join(' / ')}）` };
+}
+
+const siteDir = (base, site) => (!site || site === DEFAULT_SITE ? base : path.join(base, 'sites', site));
+
+/**
+ * 站点的蓝牙运行数据目录（ble_data.json、会话、统计、指纹、归档、备份）
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {string}
+ */
+export function getSiteBLEDir(site = DEFAULT_SITE) {
+  return siteDir(path.join(paths.data, 'blues'), site);
+}
+
+/**
+ * 站点的知识库目录（exhibitions.json、knowledge.json，供 kb-stream 工具使用）
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {string}
+ */
+export function getSiteKnowledgeDir(site = DEFAULT_SITE) {
+  return siteDir(path.join(CORE_DIR, 'data'), site);
+}
+
+/**
+ * 站点的导览页面数据目录（exhibitions.json、ai-prompts.json、visitor-stats.json 与展区详情页）
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {string}
+ */
+export function getSiteKbDir(site = DEFAULT_SITE) {
+  return siteDir(path.join(CORE_DIR, 'www', 'kb', 'data'), site);
+}
@@ -0,0 +1,324 @@
+/**
+ * IM-SYAU-Core 蓝牙状态存储（进程内共享）
+ * 插件写入、HTTP 路由读取同一份内存状态；定时与进程退出时将快照刷写到 ble_data.json。
+ * 刷写经同一队列串行执行，并以「临时文件 + rename」原子替换，读取方不会看到写了一半的文件。
+ * 每个站点各有一份状态与数据文件（见 ble-sites），未指定站点时为默认站点
+ */
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { decodeObject } from './ble-utils.js';
+import { findLatestValidBackup } from './ble-backup.js';
+import { DEFAULT_SITE, getSiteBLEDir } from './ble-sites.js';
+
+/** 默认站点的蓝牙运行数据目录（项目根 data/blues） */
+export const BLE_DATA_DIR = getSiteBLEDir(DEFAULT_SITE);
+
+/** 默认站点的蓝牙数据文件路径（项目根 data/blues/ble_data.json） */
+export const BLE_DATA_PATH = path.join(BLE_DATA_DIR, 'ble_data.json');
+
+/**
+ * 站点的蓝牙数据文件路径
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {string}
+ */
+export function getBLEDataPath(site = DEFAULT_SITE) {
+  return path.join(getSiteBLEDir(site), 'ble_data.json');
+}
+
+/** 快照刷写间隔（毫秒） */
+export const SNAPSHOT_INTERVAL = 5000;
+
+/**
+ * 串行任务队列：每个任务在前一个完成（无论成败）后执行
+ * @returns {(task: () => Promise<any>) => Promise<any>}
+ */
+function createQueue() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+/** 站点 -> { file, state, loading, dirty, recovery, enqueueUpdate, enqueueWrite }；state 首次访问时从文件加载 */
+const stores = new Map();
+let snapshotTimer = null;
+
+function getStore(site = DEFAULT_SITE) {
+  if (!stores.has(site)) {
+    stores.set(site, {
+      site,
+      file: getBLEDataPath(site),
+      state: null,
+      loading: null,
+      dirty: false,
+      recovery: null,
+      enqueueUpdate: createQueue(),
+      enqueueWrite: createQueue()
+    });
+  }
+  return stores.get(site);
+}
+
+/**
+ * 空数据结构
+ * @returns {{ devices: Object, beacons: Object }}
+ */
+export function createEmptyData() {
+  return { devices: {}, beacons: {} };
+}
+
+function normalize(data) {
+  const decoded = decodeObject(data && typeof data === 'object' ? data : {});
+  if (!decoded.devices) decoded.devices = {};
+  if (!decoded.beacons) decoded.beacons = {};
+  return decoded;
+}
+
+function tmpPathFor(file) {
+  return `${file}.${process.pid}.${Date.now()}.tmp`;
+}
+
+/**
+ * 原子写入：先写同目录临时文件，再 rename 覆盖目标
+ * @param {string} file
+ * @param {string} content
+ */
+export async function writeFileAtomic(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = tmpPathFor(file);
+  try {
+    await fs.writeFile(tmpFile, content);
+    await fs.rename(tmpFile, file);
+  } catch (err) {
+    await fs.unlink(tmpFile).catch(() => {});
+    throw err;
+  }
+}
+
+/** 其他蓝牙相关 JSON 文件的写入队列（按文件路径各一条） */
+const fileQueues = new Map();
+
+/**
+ * 读取 JSON 文件，不存在或解析失败时返回 fallback
+ * @param {string} file
+ * @param {*} fallback
+ * @returns {Promise<*>}
+ */
+export async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * 串行 + 原子写入 JSON 文件（供指纹库、注册表等小文件复用）
+ * @param {string} file
+ * @param {*} data
+ * @returns {Promise<void>}
+ */
+export function writeJsonFile(file, data) {
+  const content = JSON.stringify(data, null, 2);
+  return fileQueueFor(file)(() => writeFileAtomic(file, content));
+}
+
+/**
+ * 串行读改写 JSON 文件：读取、修改与写入在该文件的同一个队列任务内完成，并发修改不会互相覆盖
+ * @param {string} file
+ * @param {(data: *) => *} mutator - 接收当前内容（不存在或损坏时为 fallback），返回要写入的新内容（可异步）；返回 undefined 时不写入
+ * @param {*} fallback
+ * @returns {Promise<*>} 写入后的内容（未写入时为读到的内容）
+ */
+export function updateJsonFile(file, mutator, fallback) {
+  return fileQueueFor(file)(async () => {
+    const current = await readJsonFile(file, fallback);
+    const next = await mutator(current);
+    if (next === undefined) return current;
+    await writeFileAtomic(file, JSON.stringify(next, null, 2));
+    return next;
+  });
+}
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 注册表 = 默认值（纳入版本库）叠加本地覆盖（不纳入版本库）：覆盖中的条目整条替换默认值，null 表示删除默认值中的条目
+ * @param {Object} defaults
+ * @param {Object} overrides
+ * @returns {Object<string, Object>} 新对象，可直接修改
+ */
+export function applyOverrides(defaults, overrides) {
+  const registry = { ...(isPlainObject(defaults) ? defaults : {}) };
+  for (const [key, entry] of Object.entries(isPlainObject(overrides) ? overrides : {})) {
+    if (entry === null) delete registry[key];
+    else registry[key] = entry;
+  }
+  return registry;
+}
+
+/**
+ * applyOverrides 的逆运算：得到使默认值变为 registry 所需的最小覆盖（与默认值相同的条目不写入）
+ * @param {Object} defaults
+ * @param {Object<string, Object>} registry
+ * @returns {Object<string, Object|null>}
+ */
+export function diffOverrides(defaults, registry) {
+  const base = isPlainObject(defaults) ? defaults : {};
+  const overrides = {};
+  for (const [key, entry] of Object.entries(registry)) {
+    if (JSON.stringify(entry) !== JSON.stringify(base[key])) overrides[key] = entry;
+  }
+  for (const key of Object.keys(base)) {
+    if (!(key in registry)) overrides[key] = null;
+  }
+  return overrides;
+}
+
+function fileQueueFor(file) {
+  if (!fileQueues.has(file)) fileQueues.set(file, createQueue());
+  return fileQueues.get(file);
+}
+
+/** 进程退出时同步刷写（exit 事件中不能等待异步任务） */
+function flushSync() {
+  for (const store of stores.values()) {
+    if (!store.state || !store.dirty) continue;
+    const tmpFile = tmpPathFor(store.file);
+    try {
+      fsSync.mkdirSync(path.dirname(store.file), { recursive: true });
+      fsSync.writeFileSync(tmpFile, JSON.stringify(store.state, null, 2));
+      fsSync.renameSync(tmpFile, store.file);
+      store.dirty = false;
+    } catch {
+      try { fsSync.unlinkSync(tmpFile); } catch {}
+    }
+  }
+}
+
+function startSnapshotTimer() {
+  if (snapshotTimer) return;
+  snapshotTimer = setInterval(() => {
+    for (const site of stores.keys()) flushBLEData(site).catch(() => {});
+  }, SNAPSHOT_INTERVAL);
+  snapshotTimer.unref?.();
+  process.once('exit', flushSync);
+  // 服务管理器停止服务时发送 SIGTERM / SIGINT，框架未调用 process.exit 时不会触发 exit，需在信号中刷写
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      flushSync();
+      // 没有其他监听者（如框架的退出处理）时按默认行为结束进程
+      if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+    });
+  }
+}
+
+/**
+ * 数据文件损坏：保留损坏文件供排查，改用该站点最近的有效备份（无备份时为空数据），并在下次快照时写回
+ */
+async function recoverState(store, err) {
+  const corruptFile = `${store.file}.corrupt-${Date.now()}`;
+  await fs.rename(store.file, corruptFile).catch(() => {});
+  const backup = await findLatestValidBackup(store.site);
+  store.recovery = {
+    time: Date.now(),
+    error: err.message,
+    corruptFile: path.basename(corruptFile),
+    backupId: backup?.id || null,
+    backupTime: backup?.time || null
+  };
+  store.dirty = true;
+  return backup ? normalize(backup.data) : createEmptyData();
+}
+
+/**
+ * 启动时数据文件损坏的恢复记录
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {{ time: number, error: string, corruptFile: string, backupId: string|null, backupTime: number|null }|null}
+ *   corruptFile 为站点数据目录下保留的损坏文件名，backupId 为 null 表示没有可用备份、以空数据启动
+ */
+export function getBLERecovery(site = DEFAULT_SITE) {
+  return stores.get(site)?.recovery || null;
+}
+
+async function loadState(store) {
+  if (store.state) return store.state;
+  if (!store.loading) {
+    store.loading = (async () => {
+      try {
+        const content = await fs.readFile(store.file, 'utf-8');
+        const data = JSON.parse(content);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new SyntaxError('数据不是对象');
+        store.state = normalize(data);
+      } catch (err) {
+        store.state = err.code === 'ENOENT' ? createEmptyData() : await recoverState(store, err);
+      }
+      startSnapshotTimer();
+      return store.state;
+    })();
+  }
+  return store.loading;
+}
+
+/**
+ * 获取当前蓝牙状态（内存中的同一对象，调用方只读，修改请用 updateBLEData）
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<{ devices: Object, beacons: Object }>}
+ */
+export async function getBLEData(site = DEFAULT_SITE) {
+  return loadState(getStore(site));
+}
+
+/**
+ * 修改内存状态，修改过程串行执行；变更在下一次快照时落盘
+ * mutator 可原地修改 data，或返回新对象替换；返回 false 表示未修改
+ * @param {(data: Object) => (Object|false|void|Promise<Object|false|void>)} mutator
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<Object>} 修改后的状态
+ */
+export function updateBLEData(mutator, site = DEFAULT_SITE) {
+  const store = getStore(site);
+  return store.enqueueUpdate(async () => {
+    const data = await loadState(store);
+    const result = await mutator(data);
+    if (result === false) return data;
+    if (result && typeof result === 'object' && result !== data) {
+      store.state = normalize(result);
+    }
+    store.dirty = true;
+    return store.state;
+  });
+}
+
+/**
+ * 整体替换状态并立即落盘（用于重置等需要即时生效的场景）
+ * @param {Object} data
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<void>}
+ */
+export async function writeBLEData(data, site = DEFAULT_SITE) {
+  await updateBLEData(() => normalize(data), site);
+  await flushBLEData(site);
+}
+
+/**
+ * 将当前状态快照刷写到文件（无变更时跳过）
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {Promise<void>}
+ */
+export function flushBLEData(site = DEFAULT_SITE) {
+  const store = getStore(site);
+  return store.enqueueWrite(async () => {
+    if (!store.state || !store.dirty) return;
+    store.dirty = false;
+    try {
+      await writeFileAtomic(store.file, JSON.stringify(store.state, null, 2));
+    } catch (err) {
+      store.dirty = true;
+      throw err;
+    }
+  });
+}
@@ -0,0 +1,381 @@
+/**
+ * IM-SYAU-Core 蓝牙上报录制与回放
+ * 录制：把收到的 device.ble_beacon_batch 事件按相对时间写入 data/blues/traces/<名称>.ndjson；
+ * 回放：按原始节奏（可加速）重新发出录制的事件，或生成「N 个信标沿路线走过 M 个接收器」的模拟场景，
+ * 无需真实接收器即可调试插件、阈值与前端。回放事件带 replayed 标记，不会被再次录制；插件把回放事件写入独立的回放站点
+ * （见 ble-sites 的 REPLAY_SITE），不计入真实站点的数据、会话、参观统计、接收器监测、告警与指标
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { BLE_DATA_DIR, createEmptyData, updateBLEData } from './ble-store.js';
+import { loadReceiverRegistry, isReceiverEnabled, resolveReceiverSite } from './ble-receivers.js';
+import { publishBLEUpdate } from './ble-events.js';
+import { REPLAY_SITE } from './ble-sites.js';
+
+/** 录制文件目录 */
+export const TRACE_DIR = path.join(BLE_DATA_DIR, 'traces');
+
+/** 默认录制时长（毫秒），到时自动结束 */
+export const DEFAULT_RECORD_DURATION = 10 * 60 * 1000;
+
+/** 回放倍速上限 */
+export const MAX_REPLAY_SPEED = 100;
+
+/** 模拟场景的最小上报间隔（毫秒）、最长时长（毫秒）、最多信标数与最多事件数：场景在内存中一次生成，须限制规模 */
+export const MIN_SCENARIO_INTERVAL = 100;
+export const MAX_SCENARIO_DURATION = 60 * 60 * 1000;
+export const MAX_SCENARIO_BEACONS = 200;
+export const MAX_SCENARIO_EVENTS = 100000;
+
+const NAME_PATTERN = /^[\w一-龥-]{1,64}$/;
+
+let recording = null;
+let writeQueue = Promise.resolve();
+let replay = null;
+
+/**
+ * 录制名称是否合法（字母数字、下划线、连字符、中文）
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isTraceName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name);
+}
+
+function traceFile(name) {
+  return path.join(TRACE_DIR, `${name}.ndjson`);
+}
+
+/**
+ * 当前录制状态
+ * @returns {{ name: string, startedAt: number, until: number, events: number }|null}
+ */
+export function getRecordingStatus() {
+  if (!recording) return null;
+  const { timer, ...status } = recording;
+  return status;
+}
+
+/**
+ * 开始录制（已有录制进行中时先结束；同名文件会被覆盖）
+ * @param {string} name
+ * @param {number} [duration=DEFAULT_RECORD_DURATION]
+ * @returns {Promise<Object>} 录制状态
+ */
+export async function startRecording(name, duration = DEFAULT_RECORD_DURATION) {
+  if (recording) await stopRecording();
+  await fs.mkdir(TRACE_DIR, { recursive: true });
+  await fs.writeFile(traceFile(name), '');
+  const now = Date.now();
+  recording = {
+    name,
+    startedAt: now,
+    until: now + duration,
+    events: 0,
+    timer: setTimeout(() => { stopRecording().catch(() => {}); }, duration)
+  };
+  recording.timer.unref?.();
+  return getRecordingStatus();
+}
+
+/**
+ * 结束录制（等待已排队的写入完成）
+ * @returns {Promise<Object|null>} 结束前的录制状态，未在录制时返回 null
+ */
+export async function stopRecording() {
+  if (!recording) return null;
+  const status = getRecordingStatus();
+  clearTimeout(recording.timer);
+  recording = null;
+  await writeQueue;
+  return status;
+}
+
+/**
+ * 录制一次上报事件（未在录制或为回放事件时忽略）
+ * @param {{ device_id: string, device_name?: string, device_type?: string, event_data?: Object, replayed?: boolean }} e
+ * @param {number} [now=Date.now()]
+ * @returns {boolean} 是否录制
+ */
+export function recordTraceEvent(e, now = Date.now()) {
+  if (!recording || e?.replayed || !e?.device_id || now > recording.until) return false;
+  const line = JSON.stringify({
+    offset: now - recording.startedAt,
+    device_id: e.device_id,
+    device_name: e.device_name,
+    device_type: e.device_type,
+    event_data: e.event_data || {}
+  });
+  const file = traceFile(recording.name);
+  recording.events++;
+  writeQueue = writeQueue.then(() => fs.appendFile(file, line + '\n')).catch(() => {});
+  return true;
+}
+
+/**
+ * 列出录制文件
+ * @returns {Promise<Array<{ name: string, size: number, modified: number }>>} 最近修改的在前
+ */
+export async function listTraces() {
+  let files = [];
+  try {
+    files = await fs.readdir(TRACE_DIR);
+  } catch {
+    return [];
+  }
+  const list = [];
+  for (const file of files) {
+    if (!file.endsWith('.ndjson')) continue;
+    const stat = await fs.stat(path.join(TRACE_DIR, file)).catch(() => null);
+    if (stat) list.push({ name: file.replace(/\.ndjson$/, ''), size: stat.size, modified: stat.mtimeMs });
+  }
+  return list.sort((a, b) => b.modified - a.modified);
+}
+
+/**
+ * 读取录制文件
+ * @param {string} name
+ * @returns {Promise<Array<Object>|null>} 按 offset 排序的事件，文件不存在时返回 null
+ */
+export async function loadTrace(name) {
+  let content;
+  try {
+    content = await fs.readFile(traceFile(name), 'utf-8');
+  } catch {
+    return null;
+  }
+  const events = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (event?.device_id && Number.isFinite(event.offset)) events.push(event);
+    } catch {}
+  }
+  return events.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * 删除录制文件
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+export async function removeTrace(name) {
+  if (recording?.name === name) await stopRecording();
+  try {
+    await fs.unlink(traceFile(name));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 校验模拟场景参数（generateScenario 的 options，site 除外）
+ * @param {Object} options
+ * @returns {string|null} 不合法时返回原因
+ */
+export function validateScenario(options) {
+  for (const key of ['beacons', 'duration', 'interval', 'spacing', 'speed', 'batchSize', 'noise', 'seed']) {
+    if (options[key] != null && !(Number.isFinite(options[key]) && options[key] >= 0)) {
+      return `scenario.${key} 应为非负数`;
+    }
+  }
+  if (options.path != null && !(Array.isArray(options.path) && options.path.every(id => typeof id === 'string'))) {
+    return 'scenario.path 应为接收器ID数组';
+  }
+  if (options.interval != null && options.interval < MIN_SCENARIO_INTERVAL) {
+    return `scenario.interval 不小于 ${MIN_SCENARIO_INTERVAL} 毫秒`;
+  }
+  if (options.duration != null && options.duration > MAX_SCENARIO_DURATION) {
+    return `scenario.duration 不超过 ${MAX_SCENARIO_DURATION} 毫秒`;
+  }
+  if (options.spacing === 0) {
+    return 'scenario.spacing 应大于 0';
+  }
+  if (options.beacons > MAX_SCENARIO_BEACONS) {
+    return `scenario.beacons 不超过 ${MAX_SCENARIO_BEACONS}`;
+  }
+  // 指定路线时可预估事件数：轮数 × 接收器数 × 每轮批数
+  if (options.path?.length) {
+    const rounds = Math.ceil((options.duration ?? 120 * 1000) / (options.interval ?? 1000));
+    const beacons = options.beacons ?? 3;
+    const batches = options.batchSize > 0 ? Math.max(Math.ceil(beacons / options.batchSize), 1) : 1;
+    if (rounds * options.path.length * batches > MAX_SCENARIO_EVENTS) {
+      return `场景事件数超过 ${MAX_SCENARIO_EVENTS}，请缩短 duration、增大 interval 或减少接收器`;
+    }
+  }
+  return null;
+}
+
+/**
+ * 生成模拟场景：接收器按 path 顺序每隔 spacing 米排成一条路线，信标依次错开出发、以 speed 米/秒往返行走，
+ * 各接收器每 interval 毫秒上报一轮（对数距离模型 + 高斯噪声，低于 -95dBm 视为未扫到）
+ * @param {Object} [options]
+ * @param {number} [options.beacons=3] - 信标数
+ * @param {string[]} [options.path] - 接收器 ID 路线，缺省为注册表中启用的接收器（无注册时用 SIM-RCV-1..3）
+ * @param {string} [options.site] - 缺省路线只取该站点的接收器
+ * @param {number} [options.duration=120000] - 场景时长（毫秒）
+ * @param {number} [options.interval=1000] - 每个接收器的上报间隔（毫秒）
+ * @param {number} [options.spacing=5] - 相邻接收器间距（米）
+ * @param {number} [options.speed=0.5] - 行走速度（米/秒）
+ * @param {number} [options.batchSize=0] - 每批最多信标数，超出时分批上报；0 不分批
+ * @param {number} [options.noise=3] - RSSI 噪声标准差（dB）
+ * @param {number} [options.seed=1] - 随机种子，相同参数生成相同场景
+ * @returns {Promise<Array<Object>>} 与录制文件相同格式的事件（最多 MAX_SCENARIO_EVENTS 条）
+ */
+export async function generateScenario({
+  beacons = 3,
+  path: route,
+  site,
+  duration = 120 * 1000,
+  interval = 1000,
+  spacing = 5,
+  speed = 0.5,
+  batchSize = 0,
+  noise = 3,
+  seed = 1
+} = {}) {
+  const registry = await loadReceiverRegistry();
+  if (!route?.length) {
+    route = Object.keys(registry)
+      .filter(id => isReceiverEnabled(registry, id) && (!site || resolveReceiverSite(registry, id) === site));
+    if (!route.length) route = ['SIM-RCV-1', 'SIM-RCV-2', 'SIM-RCV-3'];
+  }
+  const random = createRandom(seed);
+  const gaussian = () => Math.sqrt(-2 * Math.log(random() || 1e-9)) * Math.cos(2 * Math.PI * random());
+  const length = Math.max(route.length - 1, 1) * spacing;
+  const walkers = Array.from({ length: beacons }, (_, i) => ({
+    mac: `F0:5E:00:00:00:${(i + 1).toString(16).padStart(2, '0').toUpperCase()}`,
+    // 按导览信标命名，未注册时也会出现在前端导览列表
+    name: `ESP-C3-SIM${i + 1}`,
+    start: (i * length * 2) / Math.max(beacons, 1)
+  }));
+  // 往返路线上的位置（米）
+  const positionAt = (walker, time) => {
+    const travelled = (walker.start + (speed * time) / 1000) % (length * 2);
+    return travelled <= length ? travelled : length * 2 - travelled;
+  };
+
+  const events = [];
+  // 未指定路线时接收器数来自注册表，事件数只能在生成时截断
+  for (let time = 0; time < duration && events.length < MAX_SCENARIO_EVENTS; time += interval) {
+    route.forEach((deviceId, index) => {
+      const seen = [];
+      for (const walker of walkers) {
+        const distance = Math.max(Math.abs(positionAt(walker, time) - index * spacing), 0.5);
+        const rssi = Math.round(-59 - 25 * Math.log10(distance) + gaussian() * noise);
+        if (rssi >= -95) seen.push({ mac: walker.mac, name: walker.name, rssi, online: true });
+      }
+      const size = batchSize > 0 ? batchSize : Math.max(seen.length, 1);
+      const total = Math.max(Math.ceil(seen.length / size), 1);
+      for (let batch = 1; batch <= total; batch++) {
+        if (events.length >= MAX_SCENARIO_EVENTS) break;
+        events.push({
+          // 同一时刻各接收器错开几毫秒，避免同时到达
+          offset: time + index * 5 + (batch - 1),
+          device_id: deviceId,
+          device_name: registry[deviceId]?.name || deviceId,
+          device_type: 'ESP32',
+          event_data: {
+            beacons: seen.slice((batch - 1) * size, batch * size),
+            batch,
+            total_batches: total
+          }
+        });
+      }
+    });
+  }
+  return events;
+}
+
+/**
+ * 当前回放状态
+ * @returns {{ source: string, speed: number, loop: boolean, startedAt: number, total: number, emitted: number, duration: number }|null}
+ */
+export function getReplayStatus() {
+  if (!replay) return null;
+  const { timer, events, emit, ...status } = replay;
+  return status;
+}
+
+/**
+ * 开始回放（已有回放进行中时先停止，并清空回放站点的数据）
+ * @param {Array<Object>} events - loadTrace / generateScenario 的结果
+ * @param {{ emit: (e: Object) => void, source?: string, speed?: number, loop?: boolean }} options
+ *   emit 负责发出事件（如 AgentRuntime.emit('device.ble_beacon_batch', e)），speed 为倍速
+ * @returns {Object|null} 回放状态，events 为空时返回 null
+ */
+export function startReplay(events, { emit, source = 'trace', speed = 1, loop = false }) {
+  stopReplay();
+  if (!events.length) return null;
+  // 清空排在本次回放的第一批事件之前（同一站点的数据修改串行执行）
+  updateBLEData(() => createEmptyData(), REPLAY_SITE)
+    .then(() => publishBLEUpdate({ deviceId: null, site: REPLAY_SITE, beacons: [], time: Date.now(), reset: true }))
+    .catch(() => {});
+  const base = events[0].offset;
+  replay = {
+    source,
+    speed: Math.min(Math.max(Number(speed) || 1, 0.1), MAX_REPLAY_SPEED),
+    loop: !!loop,
+    startedAt: Date.now(),
+    total: events.length,
+    emitted: 0,
+    duration: events[events.length - 1].offset - base,
+    events,
+    emit,
+    timer: null
+  };
+  const state = replay;
+  let index = 0;
+  let roundStart = Date.now();
+
+  const tick = () => {
+    if (replay !== state) return;
+    // 按墙钟对齐，避免 setTimeout 误差在长回放中累积
+    const elapsed = (Date.now() - roundStart) * state.speed;
+    while (index < events.length && events[index].offset - base <= elapsed) {
+      const { offset, ...event } = events[index++];
+      state.emitted++;
+      try {
+        state.emit({ ...event, event_data: structuredClone(event.event_data), replayed: true, time: Date.now() });
+      } catch {}
+    }
+    if (index >= events.length) {
+      if (!state.loop) {
+        replay = null;
+        return;
+      }
+      index = 0;
+      roundStart = Date.now();
+    }
+    const wait = (events[index].offset - base - (Date.now() - roundStart) * state.speed) / state.speed;
+    state.timer = setTimeout(tick, Math.max(wait, 0));
+    state.timer.unref?.();
+  };
+  tick();
+  return getReplayStatus();
+}
+
+/**
+ * 停止回放
+ * @returns {Object|null} 停止前的回放状态，未在回放时返回 null
+ */
+export function stopReplay() {
+  if (!replay) return null;
+  const status = getReplayStatus();
+  clearTimeout(replay.timer);
+  replay = null;
+  return status;
+}
@@ -1,13 +1,8 @@
 /**
  * IM-SYAU-Core 蓝牙相关共享工具
- * 供 http/ble.js、http/kb.js 复用
+ * 供 http/ble.js、http/kb.js、plugin/蓝牙.js 复用；超时阈值等取自 ble-config
  */
-
-/** 检测超时阈值（毫秒），15 秒未更新视为超时 */
-export const STALE_TIME_THRESHOLD = 15000;
-
-/** 活跃窗口（毫秒），10 秒内认为在线 */
-export const ACTIVE_WINDOW = 10000;
+import { getBLEConfig } from './ble-config.js';
 
 /**
  * Unicode 解码（\uXXXX -> 字符）
@@ -25,6 +20,28 @@ export function decodeUnicode(str) {
   }
 }
 
+/**
+ * 递归解码对象中的所有 Unicode 字符串
+ * @param {*} obj
+ * @returns {*}
+ */
+export function decodeObject(obj) {
+  if (typeof obj === 'string') {
+    return decodeUnicode(obj);
+  }
+  if (Array.isArray(obj)) {
+    return obj.map(item => decodeObject(item));
+  }
+  if (obj !== null && typeof obj === 'object') {
+    const decoded = {};
+    for (const [key, value] of Object.entries(obj)) {
+      decoded[key] = decodeObject(value);
+    }
+    return decoded;
+  }
+  return obj;
+}
+
 /**
  * 解析检测时间（支持 update_time 或 "2025/11/7 20:32:24" 格式）
  * @param {Object} detection
@@ -44,54 +61,84 @@ export function parseDetectionTime(detection) {
   }
 }
 
+/**
+ * 解析查询参数中的时间（毫秒时间戳或可被 Date.parse 识别的日期字符串）
+ * @param {string|number|undefined} value
+ * @returns {number|null} 未提供时返回 null，无法解析时返回 NaN
+ */
+export function parseTimeParam(value) {
+  if (value == null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  return Date.parse(value);
+}
+
 /**
  * 检查检测是否超时
  * @param {Object} detection
  * @param {number} now
- * @param {number} [threshold=STALE_TIME_THRESHOLD]
+ * @param {number} [threshold] - 默认取配置 staleThreshold
  * @returns {boolean}
  */
-export function isDetectionStale(detection, now, threshold = STALE_TIME_THRESHOLD) {
+export function isDetectionStale(detection, now, threshold = getBLEConfig().staleThreshold) {
   const lastUpdateTime = parseDetectionTime(detection);
   if (lastUpdateTime == null) return true;
   return (now - lastUpdateTime) > threshold;
 }
 
 /**
- * 获取信标（按名称或 MAC）
- * @param {Object} data - ble_data.json 根对象
- * @param {string} beaconId - 信标名称或 MAC
- * @returns {{ beacon: Object, mac: string }|null}
+ * 对一次 RSSI 采样做平滑
+ * state 为上一次返回的滤波状态（首次或检测已超时传 null，直接以原始值起步）
+ * @param {{ x: number, p?: number }|null} state
+ * @param {number} raw - 原始 RSSI
+ * @param {Object} [options] - 默认取配置 rssiSmoothing
+ * @returns {{ value: number, state: { x: number, p?: number }|null }} value 为平滑后的 RSSI（保留 1 位小数）
  */
-export function findBeacon(data, beaconId) {
-  if (!data?.beacons) return null;
-  for (const [mac, beacon] of Object.entries(data.beacons)) {
-    if (beacon.name === beaconId || mac === beaconId) {
-      return { beacon, mac };
-    }
+export function smoothRssi(state, raw, options = getBLEConfig().rssiSmoothing) {
+  const {
+    method = 'kalman',
+    alpha = 0.3,
+    processNoise = 0.5,
+    measurementNoise = 8
+  } = options || {};
+  if (!Number.isFinite(raw)) return { value: raw, state };
+  const round = (v) => Math.round(v * 10) / 10;
+  if (method === 'none' || !Number.isFinite(state?.x)) {
+    return { value: raw, state: { x: raw, p: measurementNoise } };
+  }
+  if (method === 'ema') {
+    const x = alpha * raw + (1 - alpha) * state.x;
+    return { value: round(x), state: { x } };
   }
-  return null;
+  const predicted = (state.p ?? measurementNoise) + processNoise;
+  const gain = predicted / (predicted + measurementNoise);
+  const x = state.x + gain * (raw - state.x);
+  return { value: round(x), state: { x, p: (1 - gain) * predicted } };
 }
 
 /**
- * 获取有效的接收器列表（未超时）
+ * 获取有效的接收器列表（未超时，且未在该接收器完整的一轮扫描中缺席）
  * @param {Object} beacon - 信标对象
  * @param {number} now
- * @param {number} [threshold=STALE_TIME_THRESHOLD]
- * @returns {Array<{deviceId: string, name: string, rssi: number, online: boolean, lastUpdateTime: number, last_update: string}>}
+ * @param {number} [threshold] - 默认取配置 staleThreshold
+ * rssi 为平滑后的值（旧数据无平滑字段时退回原始值），同时给出 rssi_raw / rssi_smoothed
+ * @returns {Array<{deviceId: string, name: string, rssi: number, rssi_raw: number, rssi_smoothed: number, online: boolean, lastUpdateTime: number, last_update: string}>}
  */
-export function getValidReceivers(beacon, now, threshold = STALE_TIME_THRESHOLD) {
+export function getValidReceivers(beacon, now, threshold = getBLEConfig().staleThreshold) {
   const receivers = [];
   const detections = beacon?.detections || {};
   for (const [deviceId, detection] of Object.entries(detections)) {
+    if (detection.absent_since) continue;
     const lastUpdateTime = parseDetectionTime(detection);
     if (lastUpdateTime == null) continue;
     const timeSinceUpdate = now - lastUpdateTime;
     if (timeSinceUpdate <= threshold) {
+      const rssi = detection.rssi_smoothed ?? detection.rssi ?? -100;
       receivers.push({
         deviceId,
         name: decodeUnicode(detection.receiver_name || detection.receiver),
-        rssi: detection.rssi ?? -100,
+        rssi,
+        rssi_raw: detection.rssi_raw ?? detection.rssi ?? -100,
+        rssi_smoothed: rssi,
         online: detection.online || false,
         lastUpdateTime,
         last_update: new Date(lastUpdateTime).toLocaleString('zh-CN')
@@ -102,6 +149,34 @@ export function getValidReceivers(beacon, now, threshold = STALE_TIME_THRESHOLD)
   return receivers;
 }
 
+/**
+ * 统计接收器与信标总数及活跃数（activeWindow 内有上报的接收器、在线检测的信标）
+ * @param {Object} data - 某站点的蓝牙数据
+ * @param {number} now
+ * @param {number} [activeWindow] - 默认取配置 activeWindow
+ * @returns {{ receivers: { total: number, active: number }, beacons: { total: number, active: number } }}
+ */
+export function countActive(data, now, activeWindow = getBLEConfig().activeWindow) {
+  const devices = Object.values(data?.devices || {});
+  const beacons = Object.values(data?.beacons || {});
+  const activeBeacons = beacons.filter(b =>
+    Object.values(b.detections || {}).some(d => d.online && now - (d.update_time || 0) <= activeWindow)
+  ).length;
+  return {
+    receivers: { total: devices.length, active: devices.filter(d => now - (d.update || 0) <= activeWindow).length },
+    beacons: { total: beacons.length, active: activeBeacons }
+  };
+}
+
+/**
+ * 按名称约定判断是否为发给游客的导览信标（ESP-C3-*）；仅用于未在信标注册表登记的信标
+ * @param {string} beaconName
+ * @returns {boolean}
+ */
+export function isVisitorBeacon(beaconName) {
+  return typeof beaconName === 'string' && beaconName.startsWith('ESP-C3-');
+}
+
 /**
  * 提取信标显示名称（ESP-C3-1 -> 1号信标）
  * @param {string} beaconName
@@ -0,0 +1,161 @@
+/**
+ * IM-SYAU-Core 参观人数统计
+ * 以「每个信标每天首次被检测到」计一位参观者，按天记录信标集合与首次出现的小时分布，
+ * 按站点增量保存到站点目录下的 visitor-stats.json（默认站点为 data/blues/visitor-stats.json）；
+ * 导览页面数据中的手工 visitor-stats.json 按天覆盖 / 补充
+ */
+import path from 'path';
+import { BLE_DATA_DIR, readJsonFile, writeJsonFile } from './ble-store.js';
+import { DEFAULT_SITE, getSiteBLEDir } from './ble-sites.js';
+
+/** 默认站点的自动统计文件 */
+export const VISITOR_STATS_PATH = path.join(BLE_DATA_DIR, 'visitor-stats.json');
+
+/**
+ * 站点的自动统计文件
+ * @param {string} [site=DEFAULT_SITE]
+ * @returns {string}
+ */
+export function getVisitorStatsPath(site = DEFAULT_SITE) {
+  return path.join(getSiteBLEDir(site), 'visitor-stats.json');
+}
+
+/** 支持的统计粒度 */
+export const VISITOR_STATS_GRANULARITIES = ['hour', 'day', 'week'];
+
+/**
+ * 站点 -> { stats, loading, seen }
+ * stats: { days: { 'YYYY-MM-DD': { beacons: string[], hours: { 'HH': number } } } }
+ * seen: 'YYYY-MM-DD' -> Set<mac>，与 stats.days[*].beacons 同步，用于快速去重
+ */
+const states = new Map();
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * 本地时区的日期键
+ * @param {number|Date} time
+ * @returns {string} YYYY-MM-DD
+ */
+export function dayKey(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function parseDayKey(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/** 所在周的周一 */
+function weekKey(key) {
+  const date = parseDayKey(key);
+  const offset = (date.getDay() + 6) % 7;
+  date.setDate(date.getDate() - offset);
+  return dayKey(date);
+}
+
+function getState(site) {
+  if (!states.has(site)) states.set(site, { stats: null, loading: null, seen: new Map() });
+  return states.get(site);
+}
+
+async function loadStats(site) {
+  const state = getState(site);
+  if (state.stats) return state;
+  if (!state.loading) {
+    state.loading = (async () => {
+      const data = await readJsonFile(getVisitorStatsPath(site), null);
+      state.stats = { days: data?.days && typeof data.days === 'object' ? data.days : {} };
+      for (const [key, day] of Object.entries(state.stats.days)) {
+        state.seen.set(key, new Set(day.beacons || []));
+      }
+      return state;
+    })();
+  }
+  return state.loading;
+}
+
+/**
+ * 记录一次信标检测；当天首次出现时计入并立即保存
+ * @param {string} mac
+ * @param {number} [time=Date.now()]
+ * @param {string} [site=DEFAULT_SITE] - 检测到该信标的接收器所属站点
+ * @returns {Promise<boolean>} 是否为当天新参观者
+ */
+export async function recordVisit(mac, time = Date.now(), site = DEFAULT_SITE) {
+  if (!mac) return false;
+  const { stats: data, seen } = await loadStats(site);
+  const key = dayKey(time);
+  if (!seen.has(key)) seen.set(key, new Set());
+  const set = seen.get(key);
+  if (set.has(mac)) return false;
+  set.add(mac);
+  if (!data.days[key]) data.days[key] = { beacons: [], hours: {} };
+  const day = data.days[key];
+  day.beacons.push(mac);
+  const hour = pad(new Date(time).getHours());
+  day.hours[hour] = (day.hours[hour] || 0) + 1;
+  await writeJsonFile(getVisitorStatsPath(site), data);
+  return true;
+}
+
+/**
+ * 查询参观人数
+ * @param {{ granularity?: 'hour'|'day'|'week', from?: number|null, to?: number|null, overrides?: Array<{ date: string, count: number }>, site?: string }} [options]
+ *   overrides 为手工数据（按天），同一天以手工数据为准，自动统计没有的日期作为补充；site 默认为默认站点
+ * @returns {Promise<Array<{ date: string, count: number }>>} 按时间升序；hour 粒度的 date 为 YYYY-MM-DDTHH:00
+ */
+export async function getVisitorStats({ granularity = 'day', from = null, to = null, overrides = [], site = DEFAULT_SITE } = {}) {
+  const { stats: data } = await loadStats(site);
+  const manual = new Map();
+  for (const item of overrides || []) {
+    if (!item?.date) continue;
+    const key = dayKey(parseDayKey(String(item.date).slice(0, 10)));
+    manual.set(key, Number(item.count) || 0);
+  }
+
+  // 统计桶 [start, end) 与 [from, to] 有交集即保留
+  const inRange = (start, length) => (from == null || start + length > from) && (to == null || start <= to);
+  const HOUR = 60 * 60 * 1000;
+  const result = [];
+
+  if (granularity === 'hour') {
+    for (const key of Object.keys(data.days).sort()) {
+      const base = parseDayKey(key);
+      for (const [hour, count] of Object.entries(data.days[key].hours || {}).sort()) {
+        const time = new Date(base).setHours(Number(hour));
+        if (inRange(time, HOUR)) result.push({ date: `${key}T${hour}:00`, count });
+      }
+    }
+    return result;
+  }
+
+  const dayKeys = new Set([...Object.keys(data.days), ...manual.keys()]);
+  if (granularity === 'week') {
+    const weeks = new Map();
+    for (const key of dayKeys) {
+      const week = weekKey(key);
+      if (!weeks.has(week)) weeks.set(week, { beacons: new Set(), manual: 0 });
+      const bucket = weeks.get(week);
+      if (manual.has(key)) {
+        bucket.manual += manual.get(key);
+      } else {
+        for (const mac of data.days[key].beacons || []) bucket.beacons.add(mac);
+      }
+    }
+    for (const week of [...weeks.keys()].sort()) {
+      if (!inRange(parseDayKey(week).getTime(), 7 * 24 * HOUR)) continue;
+      const bucket = weeks.get(week);
+      result.push({ date: week, count: bucket.beacons.size + bucket.manual });
+    }
+    return result;
+  }
+
+  for (const key of [...dayKeys].sort()) {
+    if (!inRange(parseDayKey(key).getTime(), 24 * HOUR)) continue;
+    const count = manual.has(key) ? manual.get(key) : (data.days[key].beacons || []).length;
+    result.push({ date: key, count });
+  }
+  return result;
+}
@@ -0,0 +1,144 @@
+/**
+ * IM-SYAU-Core 运行指标（Prometheus 文本格式，供 GET /api/kb/metrics 抓取）
+ * 计数器与直方图只在内存，自本次启动起累计；接收器最近上报、活跃信标等状态类指标由抓取接口现算后传入 renderMetrics。
+ * 插件、HTTP 路由与 kb-stream 工具在同一进程内共用这一份登记
+ */
+
+/** 指标名前缀 */
+export const METRIC_PREFIX = 'imsyau_';
+
+/** Prometheus 文本格式的 Content-Type */
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** 耗时直方图默认分桶（秒）：AI 问答通常在数秒到数十秒之间 */
+export const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+/** 指标名 -> { name, type, help, buckets?, series: Map<标签键, { labels, value }|{ labels, counts, sum, count }> } */
+const families = new Map();
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function define(name, type, help, extra = {}) {
+  const fullName = METRIC_PREFIX + name;
+  const existing = families.get(fullName);
+  // 插件热重载时会重复定义，沿用已有的计数
+  if (existing) return existing;
+  const family = { name: fullName, type, help, series: new Map(), ...extra };
+  families.set(fullName, family);
+  return family;
+}
+
+/**
+ * 定义计数器（同名重复定义时返回已有的计数器）
+ * @param {string} name - 不含前缀，按惯例以 _total 结尾
+ * @param {string} help
+ * @returns {{ inc: (labels?: Object<string, string>, value?: number) => void }}
+ */
+export function defineCounter(name, help) {
+  const family = define(name, 'counter', help);
+  return {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labels);
+      const series = family.series.get(key) || { labels: { ...labels }, value: 0 };
+      series.value += value;
+      family.series.set(key, series);
+    }
+  };
+}
+
+/**
+ * 定义直方图（同名重复定义时返回已有的直方图，沿用其分桶）
+ * @param {string} name - 不含前缀
+ * @param {string} help
+ * @param {number[]} [buckets=DURATION_BUCKETS] - 升序的上界，+Inf 自动补上
+ * @returns {{ observe: (labels: Object<string, string>, value: number) => void }}
+ */
+export function defineHistogram(name, help, buckets = DURATION_BUCKETS) {
+  const family = define(name, 'histogram', help, { buckets: [...buckets] });
+  return {
+    observe(labels = {}, value) {
+      if (!Number.isFinite(value)) return;
+      const key = labelKey(labels);
+      let series = family.series.get(key);
+      if (!series) {
+        series = { labels: { ...labels }, counts: family.buckets.map(() => 0), sum: 0, count: 0 };
+        family.series.set(key, series);
+      }
+      family.buckets.forEach((le, i) => {
+        if (value <= le) series.counts[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    }
+  };
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const escapeHelp = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const formatValue = (value) => (value === Infinity ? '+Inf' : value === -Infinity ? '-Inf' : String(value));
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, v]) => v != null);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+function renderFamily({ name, type, help, buckets, samples }) {
+  const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} ${type}`];
+  for (const series of samples) {
+    if (type !== 'histogram') {
+      lines.push(`${name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+      continue;
+    }
+    buckets.forEach((le, i) => {
+      lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: formatValue(le) })} ${series.counts[i]}`);
+    });
+    lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+    lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 输出全部指标
+ * @param {Array<{ name: string, type: 'gauge'|'counter', help: string, samples: Array<{ labels?: Object, value: number }> }>} [extra]
+ *   抓取时现算的指标（name 不含前缀）
+ * @returns {string} Prometheus 文本格式，以换行结尾
+ */
+export function renderMetrics(extra = []) {
+  const blocks = [...families.values()].map(family => renderFamily({ ...family, samples: [...family.series.values()] }));
+  for (const family of extra) {
+    blocks.push(renderFamily({
+      ...family,
+      name: METRIC_PREFIX + family.name,
+      samples: family.samples.map(sample => ({ labels: sample.labels || {}, value: sample.value }))
+    }));
+  }
+  return `${blocks.join('\n')}\n`;
+}
+
+const httpResponses = defineCounter('http_responses_total', 'HTTP 响应数（按路由与状态码）');
+const httpDuration = defineHistogram('http_request_duration_seconds', 'HTTP 请求耗时（秒，不含 SSE 推送连接）');
+
+/**
+ * 为路由表加上请求计数与耗时统计：响应结束时按「方法 + 路由模板 + 状态码」计数，
+ * 处理中抛出的异常由框架转为错误响应，同样计入
+ * @param {Array<{ method: string, path: string, handler: Function }>} routes
+ * @returns {Array<Object>} 新的路由表（handler 被包装，其余字段不变）
+ */
+export function instrumentRoutes(routes) {
+  return routes.map(route => ({
+    ...route,
+    handler: (req, res, ...rest) => {
+      const start = process.hrtime.bigint();
+      res.once?.('finish', () => {
+        const labels = { method: route.method, route: route.path };
+        httpResponses.inc({ ...labels, code: String(res.statusCode) });
+        if (!String(res.getHeader?.('Content-Type') || '').includes('text/event-stream')) {
+          httpDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+      });
+      return route.handler(req, res, ...rest);
+    }
+  }));
+}
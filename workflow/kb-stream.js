@@ -1,39 +1,48 @@
 import path from 'path';
-import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
+import { AsyncLocalStorage } from 'async_hooks';
 import AiWorkflow from '../../../src/infrastructure/ai-workflow/ai-workflow.js';
 import RuntimeUtil from '../../../src/utils/runtime-util.js';
+import { DEFAULT_SITE, resolveSite, getSiteKnowledgeDir } from '../utils/ble-sites.js';
+import { defineCounter } from '../utils/metrics.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const searchKnowledgeCalls = defineCounter('kb_search_knowledge_total', 'search_knowledge 工具调用数（result=hit 有匹配 / miss 无匹配）');
 
-let exhibitionsCache = null;
-let knowledgeCache = null;
+/** 当前问答请求的站点：process 期间有效，工具处理函数据此限定查询范围（同一实例并发处理多个请求，不能存在实例字段上） */
+const requestSite = new AsyncLocalStorage();
 
-async function loadExhibitions() {
-  if (exhibitionsCache) return exhibitionsCache;
+/** 站点 -> 展区数据 / 知识库 */
+const exhibitionsCache = new Map();
+const knowledgeCache = new Map();
+
+async function loadExhibitions(site = DEFAULT_SITE) {
+  if (exhibitionsCache.has(site)) return exhibitionsCache.get(site);
   try {
-    const raw = await fs.readFile(path.join(DATA_DIR, 'exhibitions.json'), 'utf-8');
-    exhibitionsCache = JSON.parse(raw);
-    return exhibitionsCache;
+    const raw = await fs.readFile(path.join(getSiteKnowledgeDir(site), 'exhibitions.json'), 'utf-8');
+    exhibitionsCache.set(site, JSON.parse(raw));
+    return exhibitionsCache.get(site);
   } catch (err) {
-    RuntimeUtil.makeLog('warn', `[kb-stream] 读取展区数据失败: ${err.message}`, 'KbStream');
+    RuntimeUtil.makeLog('warn', `[kb-stream] 读取站点 ${site} 的展区数据失败: ${err.message}`, 'KbStream');
     return {};
   }
 }
 
-async function loadKnowledge() {
-  if (knowledgeCache) return knowledgeCache;
+async function loadKnowledge(site = DEFAULT_SITE) {
+  if (knowledgeCache.has(site)) return knowledgeCache.get(site);
   try {
-    const raw = await fs.readFile(path.join(DATA_DIR, 'knowledge.json'), 'utf-8');
-    knowledgeCache = JSON.parse(raw);
-    return Array.isArray(knowledgeCache) ? knowledgeCache : [];
+    const raw = await fs.readFile(path.join(getSiteKnowledgeDir(site), 'knowledge.json'), 'utf-8');
+    const list = JSON.parse(raw);
+    knowledgeCache.set(site, Array.isArray(list) ? list : []);
+    return knowledgeCache.get(site);
   } catch (err) {
-    RuntimeUtil.makeLog('warn', `[kb-stream] 读取知识库失败: ${err.message}`, 'KbStream');
+    RuntimeUtil.makeLog('warn', `[kb-stream] 读取站点 ${site} 的知识库失败: ${err.message}`, 'KbStream');
     return [];
   }
 }
 
+/** 工具的站点参数（问答请求内调用时以请求的站点为准；否则未传时为默认站点） */
+const SITE_PARAM = { type: 'string', description: '站点ID；问答时无需传入，不传时为默认站点' };
+
 /**
  * 昆虫博物馆知识库工作流
  * 注册 MCP 工具供 AI 查询展区与知识库，回答游客问题
@@ -57,18 +66,37 @@ export default class KbStream extends AiWorkflow {
     return true;
   }
 
+  /**
+   * 处理问答；input.site（/api/kb/ai-chat 解析出的站点ID）在本次处理期间限定所有工具的查询站点
+   */
+  async process(e, input, options) {
+    const site = input && typeof input === 'object' ? input.site : null;
+    return site ? requestSite.run(site, () => super.process(e, input, options)) : super.process(e, input, options);
+  }
+
   buildSystemPrompt() {
     return `你是沈阳农业大学昆虫博物馆的专业智能导览助手。请用简洁、友好、准确的语言回答参观者问题。
 回答前请优先使用工具查询展区信息和知识库，再结合结果组织回答。回答控制在200字以内，除非问题需要展开。
 若问题超出博物馆与昆虫范围，可礼貌引导到本馆展区内容。`;
   }
 
+  /**
+   * 解析工具调用的站点：问答请求内以请求的站点为准，忽略模型传入的 site；否则取参数中的 site
+   * @returns {Promise<{ site: string }|{ error: Object }>}
+   */
+  async resolveToolSite(params) {
+    const resolved = await resolveSite(requestSite.getStore() ?? params?.site);
+    return resolved.error ? { error: this.errorResponse('UNKNOWN_SITE', resolved.error) } : { site: resolved.site };
+  }
+
   registerKbTools() {
     this.registerMCPTool('get_exhibition_list', {
       description: '获取所有展区列表，用于了解馆内有哪些展区及对应ID',
-      inputSchema: { type: 'object', properties: {} },
-      handler: async () => {
-        const data = await loadExhibitions();
+      inputSchema: { type: 'object', properties: { site: SITE_PARAM } },
+      handler: async (params = {}) => {
+        const { site, error } = await this.resolveToolSite(params);
+        if (error) return error;
+        const data = await loadExhibitions(site);
         const list = Object.entries(data || {}).map(([id, v]) => ({ id, name: v.name, description: v.description }));
         return this.successResponse({ exhibitions: list });
       }
@@ -78,13 +106,15 @@ export default class KbStream extends AiWorkflow {
       description: '根据展区ID（如 ESP32-001）获取该展区的名称、描述、详情与亮点，用于回答某展区相关问题',
       inputSchema: {
         type: 'object',
-        properties: { id: { type: 'string', description: '展区ID，如 ESP32-001' } },
+        properties: { id: { type: 'string', description: '展区ID，如 ESP32-001' }, site: SITE_PARAM },
         required: ['id']
       },
       handler: async (params = {}) => {
         const { id } = params;
         if (!id) return this.errorResponse('MISSING_ID', '缺少展区ID');
-        const data = await loadExhibitions();
+        const { site, error } = await this.resolveToolSite(params);
+        if (error) return error;
+        const data = await loadExhibitions(site);
         const ex = data?.[id];
         if (!ex) return this.errorResponse('NOT_FOUND', `未找到展区: ${id}`);
         return this.successResponse({ id, ...ex });
@@ -95,18 +125,21 @@ export default class KbStream extends AiWorkflow {
       description: '按关键词在博物馆知识库中检索与昆虫、展区相关的简短答案，用于回答具体知识点问题',
       inputSchema: {
         type: 'object',
-        properties: { keyword: { type: 'string', description: '关键词，如：绿尾大蚕蛾、天牛触角、蝼蛄' } },
+        properties: { keyword: { type: 'string', description: '关键词，如：绿尾大蚕蛾、天牛触角、蝼蛄' }, site: SITE_PARAM },
         required: ['keyword']
       },
       handler: async (params = {}) => {
         const { keyword } = params;
         if (!keyword || !String(keyword).trim()) return this.errorResponse('MISSING_KEYWORD', '缺少关键词');
-        const list = await loadKnowledge();
+        const { site, error } = await this.resolveToolSite(params);
+        if (error) return error;
+        const list = await loadKnowledge(site);
         const k = String(keyword).trim().toLowerCase();
         const matched = list.filter(
           (item) => (item.keywords || []).some((kw) => String(kw).toLowerCase().includes(k) || k.includes(String(kw).toLowerCase()))
         );
         const contents = matched.map((m) => m.content);
+        searchKnowledgeCalls.inc({ site, result: contents.length ? 'hit' : 'miss' });
         return this.successResponse({ keyword, count: contents.length, results: contents });
       }
     });
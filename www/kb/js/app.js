@@ -13,10 +13,18 @@ const AppState = {
   // 数据状态
   bleData: null,                // 蓝牙数据
   exhibitions: null,            // 展区数据
+  contentBase: 'data/',         // 展区详情页目录（按 /api/kb/exhibitions 返回的站点ID确定）
   aiPrompts: null,              // AI提示词数据
   
   // 页面状态
-  updateTimer: null,            // 数据更新定时器
+  updateTimer: null,            // 数据更新定时器（轮询回退时使用）
+  eventSource: null,            // SSE 推送连接
+  streamDisabled: false,        // SSE 不可用时置为 true，本次会话改用轮询
+  bleConfig: {                  // 蓝牙运行配置（来自 /api/ble/config，加载失败时用以下默认值）
+    activeWindow: 10000,
+    staleThreshold: 15000,
+    signalLevels: { strong: -60, medium: -70, weak: -80 }
+  },
   previousPage: null,           // 上一个页面ID
   
   // 彩蛋相关状态
@@ -24,7 +32,6 @@ const AppState = {
   lastLogoClickTime: 0,         // 上次点击Logo的时间（用于重置计数）
   
   // 信号检测相关（用于优化）
-  rssiHistory: {},              // RSSI历史记录：{ beaconMac: { receiverId: [{ rssi, timestamp }] } }
   lastValidReceiverCount: 0,    // 上一次的有效接收器数量（用于稳定性检测）
   emptyCount: 0                  // 连续为0的次数（用于稳定性检测）
 };
@@ -32,24 +39,34 @@ const AppState = {
 // ==================== API 配置（与后端路由一致）====================
 const API = {
   BLE_DATA: '/api/ble/data',
-  BLE_ESP_C3_BEACONS: '/api/ble/esp-c3-beacons',
+  BLE_BEACONS: '/api/ble/beacons',
   BLE_BEACON_RECEIVERS: '/api/ble/beacon/:beaconMac/receivers',
+  BLE_STREAM: '/api/ble/stream',
+  BLE_CONFIG: '/api/ble/config',
   EXHIBITIONS: '/api/kb/exhibitions',
   AI_PROMPTS: '/api/kb/prompts',
   AI_CHAT: '/api/kb/ai-chat',
   VISITOR_STATS: '/api/kb/visitor-stats'
 };
 
-/** 统一请求：GET 返回 { ok, data, message }；POST 同结构，失败时 message 为后端 message 或默认文案 */
+/** 当前站点：页面地址带 ?site= 时所有请求限定在该站点，否则为默认站点 */
+const SITE = new URLSearchParams(location.search).get('site') || '';
+
+/** 为请求地址附加站点参数 */
+function withSite(url) {
+  return SITE ? `${url}${url.includes('?') ? '&' : '?'}site=${encodeURIComponent(SITE)}` : url;
+}
+
+/** 统一请求：GET 返回 { ok, data, message, body }（body 为完整响应）；POST 返回 { ok, data, message }，失败时 message 为后端 message 或默认文案 */
 async function apiGet(url) {
-  const res = await fetch(url);
+  const res = await fetch(withSite(url));
   const body = await res.json().catch(() => ({}));
   const ok = res.ok && body.success !== false;
-  return { ok, data: body.data ?? body, message: body.message || (res.ok ? '' : '请求失败') };
+  return { ok, data: body.data ?? body, message: body.message || (res.ok ? '' : '请求失败'), body };
 }
 
 async function apiPost(url, body) {
-  const res = await fetch(url, {
+  const res = await fetch(withSite(url), {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body)
@@ -63,7 +80,7 @@ async function apiPost(url, body) {
 document.addEventListener('DOMContentLoaded', async () => {
   showLoading();
   try {
-    await Promise.all([loadBLEData(), loadExhibitions(), loadAIPrompts()]);
+    await Promise.all([loadBLEConfig(), loadBLEData(), loadExhibitions(), loadAIPrompts()]);
     await renderBeaconChips();
     initEventListeners();
     initVisitorCharts();
@@ -77,13 +94,21 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 // ==================== 数据加载（对接后端 /api/ble、/api/kb）====================
+async function loadBLEConfig() {
+  const { ok, data } = await apiGet(API.BLE_CONFIG);
+  if (ok && data && typeof data === 'object') {
+    AppState.bleConfig = { ...AppState.bleConfig, ...data };
+  }
+}
+
 async function loadBLEData() {
   const { ok, data } = await apiGet(API.BLE_DATA);
   AppState.bleData = ok && data ? data : { devices: {}, beacons: {} };
 }
 
-async function loadESPC3Beacons() {
-  const { ok, data } = await apiGet(API.BLE_ESP_C3_BEACONS);
+/** 导览信标（信标注册表中 role=visitor 且未隐藏，当前有有效接收器） */
+async function loadVisitorBeacons() {
+  const { ok, data } = await apiGet(`${API.BLE_BEACONS}?role=visitor`);
   return ok && Array.isArray(data) ? data : [];
 }
 
@@ -94,8 +119,11 @@ async function loadBeaconReceivers(beaconMac) {
 }
 
 async function loadExhibitions() {
-  const { ok, data } = await apiGet(API.EXHIBITIONS);
+  const { ok, data, body } = await apiGet(API.EXHIBITIONS);
   AppState.exhibitions = ok && data && typeof data === 'object' ? data : {};
+  // ?site= 可以是站点ID或名称，详情页目录以后端解析出的站点ID为准；默认站点在 data/ 下
+  const site = ok ? body.site : null;
+  AppState.contentBase = site && site !== 'default' ? `data/sites/${encodeURIComponent(site)}/` : 'data/';
 }
 
 async function loadAIPrompts() {
@@ -763,12 +791,16 @@ function initEventListeners() {
 }
 
 // ==================== 信标选择渲染（优化：使用后端筛选的数据）====================
-async function renderBeaconChips() {
+/**
+ * 渲染首页信标选择
+ * @param {Array|null} beacons - SSE 推送的信标列表；为空时请求后端
+ */
+async function renderBeaconChips(beacons = null) {
   const container = document.getElementById('beacon-chips');
   if (!container) return;
   
   // 优化：使用后端API，后端已处理筛选、映射和排序
-  const espC3Beacons = await loadESPC3Beacons();
+  const visitorBeacons = Array.isArray(beacons) ? beacons : await loadVisitorBeacons();
   
   // 保存当前显示的信标MAC地址，用于动画（排除提示文本和正在删除的）
   const currentMacs = new Set(
@@ -778,7 +810,7 @@ async function renderBeaconChips() {
   );
   
   // 处理空列表情况
-  if (espC3Beacons.length === 0) {
+  if (visitorBeacons.length === 0) {
     // 如果有现有元素，先删除它们（带动画）
     const existingChips = Array.from(container.children).filter(el => 
       el.dataset.mac && !el.classList.contains('beacon-chip-removing')
@@ -810,7 +842,7 @@ async function renderBeaconChips() {
           if (!emptyMsg || !emptyMsg.textContent.includes('暂无')) {
             const emptyDiv = document.createElement('p');
             emptyDiv.style.cssText = 'text-align:center;color:var(--text-light);grid-column:1/-1;padding:20px;animation:fadeIn 0.4s ease;';
-            emptyDiv.textContent = '暂无ESP-C3信标';
+            emptyDiv.textContent = '暂无导览信标';
             container.appendChild(emptyDiv);
           }
         }
@@ -821,7 +853,7 @@ async function renderBeaconChips() {
       if (!emptyMsg || !emptyMsg.textContent.includes('暂无')) {
         const emptyDiv = document.createElement('p');
         emptyDiv.style.cssText = 'text-align:center;color:var(--text-light);grid-column:1/-1;padding:20px;animation:fadeIn 0.4s ease;';
-        emptyDiv.textContent = '暂无ESP-C3信标';
+        emptyDiv.textContent = '暂无导览信标';
         container.appendChild(emptyDiv);
       }
     }
@@ -840,7 +872,7 @@ async function renderBeaconChips() {
   }
   
   // 优化：后端返回的是数组，每个元素包含mac、name、displayName等
-  const newMacs = new Set(espC3Beacons.map(beacon => beacon.mac));
+  const newMacs = new Set(visitorBeacons.map(beacon => beacon.mac));
   
   // 找出需要删除的信标（只删除真正不在新列表中的）
   const toRemove = Array.from(container.children).filter(el => {
@@ -851,10 +883,10 @@ async function renderBeaconChips() {
   });
   
   // 找出需要添加的信标
-  const toAdd = espC3Beacons.filter(beacon => !currentMacs.has(beacon.mac));
+  const toAdd = visitorBeacons.filter(beacon => !currentMacs.has(beacon.mac));
   
   // 找出需要更新的信标（保留现有元素，只更新数据）
-  const toUpdate = espC3Beacons.filter(beacon => currentMacs.has(beacon.mac));
+  const toUpdate = visitorBeacons.filter(beacon => currentMacs.has(beacon.mac));
   
   // 删除不再存在的信标（使用平滑动画）
   toRemove.forEach((el, index) => {
@@ -955,7 +987,11 @@ async function selectBeacon(beaconName, beaconMac) {
 
 // ==================== 展区列表渲染（优化：使用后端API，只处理当前信标）====================
 // 优化后的展区列表渲染逻辑：实时检测、平滑动画、准确排序、FLIP技术
-async function renderExhibitionList() {
+/**
+ * 渲染展区列表
+ * @param {Object|null} pushedData - SSE 推送的当前信标接收器数据；为空时请求后端
+ */
+async function renderExhibitionList(pushedData = null) {
   const grid = document.getElementById('exhibition-grid');
   const titleEl = document.getElementById('beacon-title');
   const timeEl = document.getElementById('update-time');
@@ -982,8 +1018,8 @@ async function renderExhibitionList() {
     return;
   }
   
-  // 优化：使用后端API加载当前信标的接收器列表（后端已处理筛选、排序和映射）
-  const beaconData = await loadBeaconReceivers(AppState.currentBeaconMac);
+  // 优化：使用后端API加载当前信标的接收器列表（后端已处理筛选、排序和映射）；SSE 推送时直接使用推送数据
+  const beaconData = pushedData || await loadBeaconReceivers(AppState.currentBeaconMac);
   
   // 更新标题（使用后端返回的displayName）
   if (titleEl) {
@@ -998,9 +1034,15 @@ async function renderExhibitionList() {
   // 优化：后端已处理筛选和排序，直接使用
   const receivers = beaconData.receivers || [];
   
-  // 过滤：确保展区数据存在
+  // 过滤：接收器经注册表映射到展区（exhibitionId），确保展区数据存在；
+  // 同一展区有多个接收器时只保留信号最强的一个（后端已按 RSSI 降序）
+  const seenExhibitions = new Set();
   const validReceivers = receivers.filter(receiver => {
-    return AppState.exhibitions && AppState.exhibitions[receiver.receiverId];
+    const exhibitionId = receiver.exhibitionId;
+    if (!exhibitionId || !AppState.exhibitions || !AppState.exhibitions[exhibitionId]) return false;
+    if (seenExhibitions.has(exhibitionId)) return false;
+    seenExhibitions.add(exhibitionId);
+    return true;
   });
   
   // 优化：检测稳定性逻辑 - 防止突然从有数据变为0（可能是检测不稳定）
@@ -1220,7 +1262,7 @@ async function renderExhibitionList() {
   // 添加新卡片（使用平滑动画）
   toAdd.forEach((receiver, index) => {
     // 确保接收器不在删除列表中
-    const exhibition = AppState.exhibitions[receiver.receiverId];
+    const exhibition = AppState.exhibitions[receiver.exhibitionId];
     if (!exhibition) {
       return;
     }
@@ -1305,7 +1347,7 @@ function createExhibitionCard(receiverId, exhibition, receiverInfo = null) {
   
   // 点击事件
   card.addEventListener('click', () => {
-    AppState.currentExhibitionId = receiverId;
+    AppState.currentExhibitionId = receiverInfo?.exhibitionId || receiverId;
     AppState.currentReceiverId = receiverId;
     navigateToPage('detail-page', 'list-page');
     renderExhibitionDetail(receiverId, exhibition);
@@ -1342,9 +1384,10 @@ function updateCardSignalInfo(card, receiver) {
 
 // ==================== 获取信号强度文本 ====================
 function getSignalStrengthText(rssi) {
-  if (rssi >= -50) return '强';
-  if (rssi >= -70) return '中';
-  if (rssi >= -90) return '弱';
+  const { strong, medium, weak } = AppState.bleConfig.signalLevels;
+  if (rssi >= strong) return '强';
+  if (rssi >= medium) return '中';
+  if (rssi >= weak) return '弱';
   return '极弱';
 }
 
@@ -1355,9 +1398,8 @@ function isReceiverOnline(receiverId) {
   
   const now = Date.now();
   const lastUpdate = device.update || 0;
-  const ACTIVE_WINDOW = 10000; // 10秒
   
-  return (now - lastUpdate) <= ACTIVE_WINDOW;
+  return (now - lastUpdate) <= AppState.bleConfig.activeWindow;
 }
 
 // ==================== 展区详情渲染 ====================
@@ -1377,7 +1419,7 @@ async function renderExhibitionDetail(receiverId, exhibition) {
   // 加载详情内容
   if (contentEl && exhibition.contentFile) {
     try {
-      const response = await fetch(`data/${exhibition.contentFile}`);
+      const response = await fetch(`${AppState.contentBase}${exhibition.contentFile}`);
       const html = await response.text();
       contentEl.innerHTML = html;
     } catch (error) {
@@ -1714,13 +1756,17 @@ function navigateToPage(targetPageId, currentPageId) {
 
 /**
  * 清除更新定时器
- * 停止当前的数据更新定时器
+ * 停止当前的数据更新定时器与 SSE 推送连接
  */
 function clearUpdateTimer() {
   if (AppState.updateTimer) {
     clearInterval(AppState.updateTimer);
     AppState.updateTimer = null;
   }
+  if (AppState.eventSource) {
+    AppState.eventSource.close();
+    AppState.eventSource = null;
+  }
 }
 
 /**
@@ -1775,7 +1821,8 @@ function hideLoading() {
 // ==================== 参观人数统计图表模块 ====================
 /**
  * 参观人数统计图表模块
- * 数据来源：/api/kb/visitor-stats，需在 www/kb/data/visitor-stats.json 配置
+ * 数据来源：/api/kb/visitor-stats，由蓝牙上报自动统计（每个信标每天首次检测计一人），
+ * www/kb/data/visitor-stats.json 可按天覆盖或补充
  */
 
 /** 参观人数数据缓存（由 loadVisitorStats 填充） */
@@ -2146,18 +2193,120 @@ function throttle(func, limit) {
 
 // ==================== 数据更新定时器模块（优化版） ====================
 /**
- * 数据更新定时器模块（优化版）
- * 提供智能的数据更新机制，根据当前页面只更新需要的数据
- * 使用节流优化更新频率，避免过于频繁的更新
+ * 数据更新模块（优化版）
+ * 优先使用服务端 SSE 推送（/api/ble/stream），接收器上报后即时更新；
+ * 浏览器不支持或推送连接失败时回退到定时轮询，根据当前页面只更新需要的数据
  */
 
+/** SSE 连续出错多少次（期间未能重新连上）后放弃推送，回退到轮询 */
+const STREAM_MAX_ERRORS = 3;
+
+function isPageActive(pageId) {
+  const page = document.getElementById(pageId);
+  return Boolean(page && page.classList.contains('active'));
+}
+
 /**
- * 启动数据更新定时器
- * 根据当前页面智能更新数据，优化性能
+ * 启动数据更新
+ * 未选信标时订阅导览信标列表，选定信标后订阅该信标的接收器
  */
 function startUpdateTimer() {
   clearUpdateTimer();
+  if (typeof EventSource !== 'undefined' && !AppState.streamDisabled) {
+    startLiveStream();
+  } else {
+    startPolling();
+  }
+}
+
+/**
+ * 启动 SSE 推送
+ * 渲染中收到的推送只保留最新一条，当前渲染结束后立即处理；渲染失败时记录警告，不影响后续推送
+ */
+function startLiveStream() {
+  // 页面切换有动画，此时目标页可能尚未激活，故按是否已选信标决定订阅内容
+  const beaconMac = AppState.currentBeaconMac;
+  const url = beaconMac ? `${API.BLE_STREAM}?beacon=${encodeURIComponent(beaconMac)}` : API.BLE_STREAM;
+  const source = new EventSource(withSite(url));
+  AppState.eventSource = source;
+  
+  let opened = false;
+  let errorCount = 0;
+  let isUpdating = false;
+  let pendingUpdate = null;
+  const runUpdate = async (update) => {
+    if (AppState.eventSource !== source) return;
+    if (isUpdating) {
+      pendingUpdate = update;
+      return;
+    }
+    isUpdating = true;
+    try {
+      let next = update;
+      while (next && AppState.eventSource === source) {
+        pendingUpdate = null;
+        try {
+          await next();
+        } catch (error) {
+          console.warn('[导览] 推送更新失败:', error);
+        }
+        next = pendingUpdate;
+      }
+    } finally {
+      isUpdating = false;
+      pendingUpdate = null;
+    }
+  };
+  
+  source.addEventListener('open', () => {
+    opened = true;
+    errorCount = 0;
+  });
+  
+  source.addEventListener('beacons', (event) => {
+    if (!isPageActive('init-page')) return;
+    runUpdate(async () => {
+      await renderBeaconChips(JSON.parse(event.data));
+      // 如果粒子效果停止，重新启动
+      if (!animationFrameId) {
+        animateParticles();
+      }
+    });
+  });
+  
+  source.addEventListener('receivers', (event) => {
+    if (isPageActive('list-page')) {
+      runUpdate(async () => {
+        const data = JSON.parse(event.data);
+        if (data.beaconMac && data.beaconMac !== AppState.currentBeaconMac) return;
+        await renderExhibitionList(data);
+        updateHeaderTime('update-time');
+      });
+    } else if (isPageActive('detail-page')) {
+      updateHeaderTime('detail-update-time');
+    }
+  });
   
+  source.addEventListener('error', () => {
+    errorCount++;
+    if (!opened || source.readyState === EventSource.CLOSED || errorCount >= STREAM_MAX_ERRORS) {
+      // 推送不可用（如代理缓冲或不支持长连接），本次会话改用轮询
+      AppState.streamDisabled = true;
+      if (AppState.eventSource === source) {
+        clearUpdateTimer();
+        startPolling();
+      } else {
+        source.close();
+      }
+    }
+  });
+}
+
+/**
+ * 启动轮询（SSE 不可用时的回退）
+ * 根据当前页面智能更新数据，优化性能
+ */
+function startPolling() {
   // 使用节流优化更新频率，避免过于频繁的更新
   let lastUpdateTime = 0;
   const UPDATE_INTERVAL = 2000; // 2秒更新一次
@@ -2174,12 +2323,8 @@ function startUpdateTimer() {
     
     try {
       // 优化：根据当前页面只加载需要的数据
-      const initPage = document.getElementById('init-page');
-      const listPage = document.getElementById('list-page');
-      const detailPage = document.getElementById('detail-page');
-      
       // 如果在首页，只更新信标列表（使用后端API）
-      if (initPage && initPage.classList.contains('active')) {
+      if (isPageActive('init-page')) {
         await renderBeaconChips(); // 使用后端API，已处理筛选和映射
         // 如果粒子效果停止，重新启动
         if (!animationFrameId) {
@@ -2187,7 +2332,7 @@ function startUpdateTimer() {
         }
       }
       // 如果在列表页，只更新当前信标的接收器列表（使用后端API）
-      else if (listPage && listPage.classList.contains('active')) {
+      else if (isPageActive('list-page')) {
         if (AppState.currentBeaconMac) {
           // 优化：只加载当前信标的数据，不处理所有信标
           await renderExhibitionList(); // 使用后端API，只处理当前信标
@@ -2195,10 +2340,11 @@ function startUpdateTimer() {
         }
       }
       // 如果在详情页，只更新时间，不处理数据
-      else if (detailPage && detailPage.classList.contains('active')) {
+      else if (isPageActive('detail-page')) {
         updateHeaderTime('detail-update-time');
       }
     } catch (error) {
+      console.warn('[导览] 轮询更新失败:', error);
     } finally {
       isUpdating = false;
     }